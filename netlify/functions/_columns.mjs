@@ -0,0 +1,124 @@
+// netlify/functions/_columns.mjs
+// Column mapping for uploads: which file header feeds each field the worker reads.
+//
+// A mapping is { field: header } over UPLOAD_FIELDS keys. The Dashboard gets a suggestion from header
+// names and aliases (or from the user's saved presets), lets the user adjust it, and the confirmed
+// mapping is stored on Job.columnMapping. Validation, the estimate and the worker all read rows through
+// mapRow(), so they see the same canonical field names whatever the site called its columns.
+
+export const UPLOAD_FIELDS = [
+  { key: 'concept_a', label: 'Concept A id / code', required: true, aliases: ['code_a', 'concept_id_a', 'concept_a_id', 'concept_id_1', 'concept1_id', 'concept_1'] },
+  { key: 'concept_b', label: 'Concept B id / code', required: true, aliases: ['code_b', 'concept_id_b', 'concept_b_id', 'concept_id_2', 'concept2_id', 'concept_2'] },
+  { key: 'system_a', label: 'Concept A vocabulary', aliases: ['vocabulary_a', 'vocabulary_id_a', 'vocab_a', 'code_system_a'] },
+  { key: 'system_b', label: 'Concept B vocabulary', aliases: ['vocabulary_b', 'vocabulary_id_b', 'vocab_b', 'code_system_b'] },
+  { key: 'type_a', label: 'Concept A type / domain', aliases: ['domain_a', 'domain_id_a', 'concept_class_a'] },
+  { key: 'type_b', label: 'Concept B type / domain', aliases: ['domain_b', 'domain_id_b', 'concept_class_b'] },
+  { key: 'cooc_obs', label: 'Co-occurring persons', aliases: ['cooc', 'cooccurrence', 'co_occurrence', 'n_ab', 'nab', 'cooc_persons'] },
+  { key: 'cooc_event_count', label: 'Co-occurring events', required: true, aliases: ['events_ab', 'cooc_events', 'event_count_ab', 'n_events_ab'] },
+  { key: 'a_before_b', label: 'A before B', aliases: ['n_a_before_b', 'a_first'] },
+  { key: 'same_day', label: 'Same day', aliases: ['n_same_day', 'sameday'] },
+  { key: 'b_before_a', label: 'B before A', aliases: ['n_b_before_a', 'b_first'] },
+  { key: 'nA', label: 'Persons with A', aliases: ['n_a', 'count_a', 'persons_a', 'n_concept_a'] },
+  { key: 'nB', label: 'Persons with B', aliases: ['n_b', 'count_b', 'persons_b', 'n_concept_b'] },
+  { key: 'total_persons', label: 'Total persons', aliases: ['n_total', 'total', 'population', 'n_persons', 'person_count'] },
+  { key: 'lift', label: 'Lift', aliases: ['lift_ratio'] },
+  { key: 'lift_lower_95', label: 'Lift lower 95%', aliases: ['lift_lcl', 'lift_lower', 'lift_lo'] },
+  { key: 'lift_upper_95', label: 'Lift upper 95%', aliases: ['lift_ucl', 'lift_upper', 'lift_hi'] },
+  { key: 'events_ab_ae', label: 'Expected co-occurring events', aliases: ['expected_events', 'expected_events_ab'] },
+  { key: 'expected_obs', label: 'Expected co-occurring persons', aliases: ['expected', 'expected_cooc'] },
+  { key: 'z_score', label: 'Z score', aliases: ['z', 'zscore'] },
+  { key: 'odds_ratio', label: 'Odds ratio', aliases: ['or'] },
+  { key: 'or_lower_95', label: 'Odds ratio lower 95%', aliases: ['or_lcl', 'or_lower'] },
+  { key: 'or_upper_95', label: 'Odds ratio upper 95%', aliases: ['or_ucl', 'or_upper'] }
+]
+
+export const REQUIRED_FIELDS = UPLOAD_FIELDS.filter(f => f.required).map(f => f.key)
+const inFieldOrder = (mapping) => Object.fromEntries(UPLOAD_FIELDS.filter(f => mapping[f.key]).map(f => [f.key, mapping[f.key]]))
+
+// Fields as the Dashboard lists them
+export const fieldList = () => UPLOAD_FIELDS.map(({ key, label, required = false }) => ({ key, label, required }))
+
+const FIELD_KEYS = new Set(UPLOAD_FIELDS.map(f => f.key))
+const FIELD_NAMES_LC = new Set(UPLOAD_FIELDS.map(f => f.key.toLowerCase()))
+
+// Header comparison ignores case, spaces and punctuation: "Concept ID 1" matches concept_id_1
+const normalize = (h) => String(h ?? '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/** Mapping suggested from header names and the fields' aliases. */
+export function suggestColumnMapping (headers) {
+  const byNorm = new Map()
+  for (const h of headers) if (!byNorm.has(normalize(h))) byNorm.set(normalize(h), h)
+  const used = new Set()
+  const mapping = {}
+  // Exact field names claim their column before any alias does
+  for (const names of [(f) => [f.key], (f) => f.aliases]) {
+    for (const field of UPLOAD_FIELDS) {
+      if (mapping[field.key]) continue
+      const header = names(field).map(n => byNorm.get(normalize(n))).find(h => h && !used.has(h))
+      if (header) { mapping[field.key] = header; used.add(header) }
+    }
+  }
+  return inFieldOrder(mapping)
+}
+
+/**
+ * Suggestion for `headers` that starts from the user's most recently updated preset whose columns are
+ * all in the file; fields it leaves open are filled from the header names.
+ * Returns { mapping, preset } (preset name, or null).
+ */
+export function suggestFromPresets (headers, presets = []) {
+  const have = new Set(headers)
+  const preset = [...presets]
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .find(p => Object.values(p.mapping || {}).length && Object.values(p.mapping).every(h => have.has(h)))
+  if (!preset) return { mapping: suggestColumnMapping(headers), preset: null }
+  const used = new Set(Object.values(preset.mapping))
+  const rest = suggestColumnMapping(headers.filter(h => !used.has(h)))
+  return { mapping: inFieldOrder({ ...rest, ...preset.mapping }), preset: preset.name }
+}
+
+// Known fields with a non-empty header name, for storing a mapping without a file to check it against
+export function sanitizeColumnMapping (input) {
+  const mapping = {}
+  for (const [field, header] of Object.entries(input || {})) {
+    if (FIELD_KEYS.has(field) && typeof header === 'string' && header.trim()) mapping[field] = header
+  }
+  return mapping
+}
+
+/**
+ * Check a mapping sent by a client against the file's headers.
+ * Returns { mapping, errors } — `mapping` keeps known fields with a header, `errors` lists problems
+ * (unknown field, header not in the file, one header used twice, required field left unmapped).
+ */
+export function resolveColumnMapping (input, headers) {
+  const have = new Set(headers)
+  const mapping = {}
+  const errors = []
+  const usedBy = new Map()
+  for (const [field, header] of Object.entries(input || {})) {
+    if (header == null || header === '') continue
+    if (!FIELD_KEYS.has(field)) { errors.push(`Unknown field "${field}"`); continue }
+    if (!have.has(header)) { errors.push(`Column "${header}" (for ${field}) is not in the file`); continue }
+    if (usedBy.has(header)) { errors.push(`Column "${header}" is mapped to both ${usedBy.get(header)} and ${field}`); continue }
+    usedBy.set(header, field)
+    mapping[field] = header
+  }
+  const missing = REQUIRED_FIELDS.filter(f => !mapping[f])
+  if (missing.length) errors.push(`Required field(s) not mapped: ${missing.join(', ')}`)
+  return { mapping: inFieldOrder(mapping), errors }
+}
+
+/**
+ * Row with canonical field names, mapped fields first. Other columns follow as they are unless they carry
+ * a field name themselves, so an unmapped "lift" column cannot slip in.
+ */
+export function mapRow (row, mapping) {
+  const used = new Set(Object.values(mapping))
+  const out = {}
+  for (const [field, header] of Object.entries(mapping)) out[field] = row[header]
+  for (const [k, v] of Object.entries(row)) {
+    if (!used.has(k) && !FIELD_NAMES_LC.has(k.toLowerCase())) out[k] = v
+  }
+  return out
+}
@@ -0,0 +1,181 @@
+// netlify/functions/_estimate.mjs
+// Pre-flight estimate for an uploaded file: how many LLM calls a job would make and what they would
+// cost, before the job is queued.
+//
+// Rows are resolved the way the worker resolves them (./_uploads.mjs), but with bulk queries: a row
+// makes no call when its pair is already in MasterRecord, appeared earlier in the file, is at or below
+// LIFT_MIN_FOR_LLM, or has a reusable LlmCache answer for the active prompt. Tokens per call are the
+// average of recent LlmCache rows for the configured model(s), or a fixed guess without history.
+//
+// An estimate comes with a token that the job-creating upload POST has to send back (see upload.mjs), so
+// no job is queued without an estimate of exactly what it will run over.
+
+import { createHmac, timingSafeEqual } from 'node:crypto'
+import { createProvider } from './_llm/providers.mjs'
+import { consensusConfig, consensusDescriptor } from './_llm/consensus.mjs'
+import { loadPrompt, conceptDomain, promptVariant } from './_llm/prompts.mjs'
+import { createRateLimiter } from './_llm/rate-limit.mjs'
+import { spendOf } from './_llm/pricing.mjs'
+import { LIFT_MIN_FOR_LLM, llmCacheModels, pairIdentity, passesLiftThreshold, reusableCacheResult, stablePromptKey, toIntStrict } from './_uploads.mjs'
+import { monthlyBudgetCents, monthSpendCents } from './_jobs.mjs'
+
+const QUERY_CHUNK = 1000
+const HISTORY_SAMPLE = 200
+// Per classification call when LlmCache has no token history for the model(s)
+const FALLBACK_TOKENS = { in: 900, out: 150 }
+// Wall time of one classification call and the per-row database work, for the runtime projection
+const SECONDS_PER_CALL = 3
+const SECONDS_PER_ROW = 0.1
+
+// The only row fields an estimate reads; callers streaming a large file keep just these
+const ESTIMATE_FIELDS = ['concept_a', 'concept_b', 'system_a', 'system_b', 'type_a', 'type_b', 'lift']
+export const estimateFields = (row) => Object.fromEntries(ESTIMATE_FIELDS.filter(k => row[k] !== undefined).map(k => [k, row[k]]))
+
+const chunks = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size))
+
+async function loadConcepts (prisma, rows) {
+  const ids = new Set()
+  for (const row of rows) {
+    for (const code of [row.concept_a, row.concept_b]) {
+      const id = toIntStrict(String(code ?? '').trim())
+      if (id != null) ids.add(id)
+    }
+  }
+  const concepts = new Map()
+  for (const chunk of chunks(Array.from(ids), QUERY_CHUNK)) {
+    const found = await prisma.omopCdmConcept.findMany({
+      where: { concept_id: { in: chunk } },
+      select: { concept_id: true, concept_name: true, concept_class_id: true, domain_id: true }
+    })
+    for (const c of found) concepts.set(c.concept_id, c)
+  }
+  return (code) => {
+    const id = toIntStrict(String(code ?? '').trim())
+    return id == null ? null : concepts.get(id) ?? null
+  }
+}
+
+// Average tokens per classified pair, from what recent calls to these models actually used
+async function tokensPerCall (prisma, models, voters) {
+  const recent = await prisma.llmCache.findMany({
+    where: { model: { in: models }, tokensIn: { not: null } },
+    orderBy: { createdAt: 'desc' },
+    take: HISTORY_SAMPLE,
+    select: { tokensIn: true, tokensOut: true }
+  })
+  if (!recent.length) return { in: FALLBACK_TOKENS.in * voters, out: FALLBACK_TOKENS.out * voters, basis: 'default' }
+  const sum = recent.reduce((acc, r) => ({ in: acc.in + (r.tokensIn || 0), out: acc.out + (r.tokensOut || 0) }), { in: 0, out: 0 })
+  return { in: sum.in / recent.length, out: sum.out / recent.length, basis: 'history' }
+}
+
+function estimateSecret () {
+  const secret = process.env.SESSION_SECRET || process.env.AUTH_SECRET
+  if (!secret) throw new Error('Missing SESSION_SECRET')
+  return secret
+}
+
+// Only what decides which rows are read and how they are classified
+const estimatedWork = ({ blobKey, userId, jobs, forceRefresh }) =>
+  JSON.stringify({ blobKey, userId: userId ?? null, jobs: jobs.map(j => ({ source: j.source, mapping: j.mapping })), forceRefresh: !!forceRefresh })
+
+/**
+ * Token for an estimate of `jobs` ([{ source, mapping }], one per job) over the upload at `blobKey`;
+ * changing any of these (or the user) needs a fresh estimate.
+ */
+export const estimateToken = (work) => createHmac('sha256', estimateSecret()).update(estimatedWork(work)).digest('base64url')
+
+/** Whether `token` is the estimate token for `work` (see estimateToken). */
+export function checkEstimateToken (token, work) {
+  const expected = Buffer.from(estimateToken(work))
+  const given = Buffer.from(String(token ?? ''))
+  return given.length === expected.length && timingSafeEqual(given, expected)
+}
+
+/**
+ * Estimate a job for parsed upload `rows` (with mapped field names, see ./_columns.mjs). Returns row counts, projected LLM calls, tokens, cost (cents),
+ * runtime (seconds) and, for a signed-in user, their monthly budget position.
+ */
+export async function estimateUpload (prisma, { rows, forceRefresh = false, userId = null }) {
+  const provider = createProvider()
+  const consensus = consensusConfig()
+  const prompt = await loadPrompt(prisma)
+  const models = llmCacheModels(provider, consensus)
+  const conceptFor = await loadConcepts(prisma, rows)
+
+  const pairs = rows.map((row) => {
+    const metaA = conceptFor(row.concept_a)
+    const metaB = conceptFor(row.concept_b)
+    const domainA = conceptDomain({ domainId: metaA?.domain_id, uploadType: row.type_a })
+    const domainB = conceptDomain({ domainId: metaB?.domain_id, uploadType: row.type_b })
+    return { ...pairIdentity(row, metaA, metaB), prompt_version: prompt.version, prompt_variant: promptVariant(domainA, domainB).key, llm: passesLiftThreshold(row) }
+  })
+
+  const existing = new Map()
+  for (const chunk of chunks(Array.from(new Set(pairs.map(p => p.pairId))), QUERY_CHUNK)) {
+    const found = await prisma.masterRecord.findMany({ where: { pairId: { in: chunk } }, select: { pairId: true, status: true } })
+    for (const r of found) existing.set(r.pairId, r)
+  }
+
+  const cachedKeys = new Set()
+  if (!forceRefresh) {
+    const keys = pairs.filter(p => p.llm && !existing.has(p.pairId)).flatMap(p => models.map(model => stablePromptKey({ ...p, model })))
+    for (const chunk of chunks(Array.from(new Set(keys)), QUERY_CHUNK)) {
+      const hits = await prisma.llmCache.findMany({ where: { promptKey: { in: chunk } }, select: { promptKey: true, result: true } })
+      for (const h of hits) if (reusableCacheResult(h.result)) cachedKeys.add(h.promptKey)
+    }
+  }
+
+  // Walk the rows in file order, as the worker will
+  const counts = { rows: rows.length, uniquePairs: 0, inMasterRecord: 0, inLlmCache: 0, passLiftThreshold: 0, llmCalls: 0 }
+  const seen = new Set()
+  for (const p of pairs) {
+    if (p.llm) counts.passLiftThreshold++
+    if (seen.has(p.pairId)) continue
+    seen.add(p.pairId)
+    counts.uniquePairs++
+    const record = existing.get(p.pairId)
+    // Records whose classification failed earlier are classified again
+    if (record && !(record.status === 'llm_error' && p.llm)) { counts.inMasterRecord++; continue }
+    if (!p.llm) continue
+    if (!record && models.some(model => cachedKeys.has(stablePromptKey({ ...p, model })))) { counts.inLlmCache++; continue }
+    counts.llmCalls++
+  }
+
+  const voterModels = consensus.enabled ? consensus.models : [provider.models[0]]
+  const samples = consensus.enabled ? consensus.samples : 1
+  const perCall = await tokensPerCall(prisma, models, voterModels.length * samples)
+  const share = (n) => (n * counts.llmCalls) / voterModels.length
+  const spend = spendOf(Object.fromEntries(voterModels.map(m => [m, { prompt_tokens: share(perCall.in), completion_tokens: share(perCall.out) }])))
+
+  // Runtime: bounded by row concurrency and by each model's rate limit, whichever is slower
+  const concurrency = Math.max(1, Number(process.env.ROW_CONCURRENCY || 4))
+  const batchSize = Math.max(1, Number(process.env.LLM_BATCH_SIZE || 1))
+  const limiter = createRateLimiter()
+  const rateBound = Math.max(0, ...voterModels.map((m) => {
+    const rpm = limiter.rpmFor(m)
+    return rpm ? (Math.ceil(counts.llmCalls / batchSize) * samples * 60) / rpm : 0
+  }))
+  const runtimeSeconds = Math.round(Math.max((counts.llmCalls * SECONDS_PER_CALL) / concurrency, rateBound) + (counts.rows * SECONDS_PER_ROW) / concurrency)
+
+  const costCents = Math.round(spend.cents)
+  let budget = null
+  if (userId) {
+    const budgetCents = await monthlyBudgetCents(prisma, userId)
+    const spentCents = await monthSpendCents(prisma, userId)
+    budget = { budgetCents, spentCents, exceeds: budgetCents != null && spentCents + costCents > budgetCents }
+  }
+
+  return {
+    ...counts,
+    liftThreshold: LIFT_MIN_FOR_LLM,
+    model: consensus.enabled ? consensusDescriptor(consensus) : provider.models[0],
+    promptVersion: prompt.version,
+    forceRefresh,
+    tokensIn: Math.round(spend.tokensIn),
+    tokensOut: Math.round(spend.tokensOut),
+    tokenBasis: perCall.basis,
+    costCents,
+    runtimeSeconds,
+    budget
+  }
+}
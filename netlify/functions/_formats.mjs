@@ -0,0 +1,111 @@
+// netlify/functions/_formats.mjs
+// Job output in the formats download.mjs offers: CSV as stored, JSON Lines, XLSX and Parquet.
+//
+// Every format is converted from the stored CSV parts (./_outputs.mjs). Known numeric columns are typed
+// (empty → null); everything else, concept codes included, stays text. JSON Lines streams row by row;
+// XLSX and Parquet are built in memory, so they hold the whole output at once.
+
+import * as XLSX from 'xlsx'
+import { parquetWriteBuffer } from 'hyparquet-writer'
+import { RELATIONSHIP_TYPES } from './_llm/classification.mjs'
+import { outputRows, outputStream } from './_outputs.mjs'
+
+export const OUTPUT_FORMATS = {
+  csv: { ext: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { ext: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: { ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  parquet: { ext: 'parquet', contentType: 'application/vnd.apache.parquet' }
+}
+
+// Output columns with numeric values (lower-case); the rest are written as text. Integer columns are INT64
+// in Parquet: site-level counts can pass 2^31
+const INT_COLUMNS = new Set([
+  'cooc_obs', 'cooc_event_count', 'a_before_b', 'same_day', 'b_before_a', 'na', 'nb', 'total_persons', 'source_count',
+  'relationship_code', 'previous_relationship_code'
+])
+const FLOAT_COLUMNS = new Set([
+  'lift', 'lift_lower_95', 'lift_upper_95', 'z_score', 'events_ab_ae', 'expected_obs',
+  'ab_h', 'a_only_h', 'b_only_h', 'neither_h', 'odds_ratio', 'or_lower_95', 'or_upper_95',
+  'directionality_ratio', 'dir_prop_a_before_b', 'dir_lower_95', 'dir_upper_95',
+  'confidence_a_to_b', 'confidence_b_to_a', 'llm_confidence', 'llm_agreement'
+])
+
+function columnType (name) {
+  const lc = name.toLowerCase()
+  return INT_COLUMNS.has(lc) ? 'INT64' : FLOAT_COLUMNS.has(lc) ? 'DOUBLE' : 'STRING'
+}
+
+function typedValue (type, v) {
+  if (type === 'STRING') return v ?? ''
+  if (v == null || String(v).trim() === '') return null
+  const n = Number(v)
+  if (!Number.isFinite(n)) return null
+  return type === 'INT64' && !Number.isInteger(n) ? null : n
+}
+
+function typedRow (columns, types, row) {
+  const out = {}
+  columns.forEach((c, i) => { out[c] = typedValue(types[i], row[c]) })
+  return out
+}
+
+// Whole output in memory: column names, their types and typed rows
+async function collectRows (store, job) {
+  let columns = []
+  let types = []
+  const rows = []
+  for await (const row of outputRows(store, job, { onColumns: (header) => { columns = header; types = header.map(columnType) } })) {
+    rows.push(typedRow(columns, types, row))
+  }
+  return { columns, types, rows }
+}
+
+function jsonlStream (store, job) {
+  const encoder = new TextEncoder()
+  let columns = []
+  let types = []
+  const rows = outputRows(store, job, { onColumns: (header) => { columns = header; types = header.map(columnType) } })
+  return new ReadableStream({
+    async pull (controller) {
+      const { value, done } = await rows.next()
+      if (done) controller.close()
+      else controller.enqueue(encoder.encode(JSON.stringify(typedRow(columns, types, value)) + '\n'))
+    },
+    async cancel () { await rows.return() }
+  })
+}
+
+async function xlsxBuffer (store, job, metadata) {
+  const { columns, rows } = await collectRows(store, job)
+  const wb = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows, { header: columns }), 'Results')
+  const legend = Object.entries(RELATIONSHIP_TYPES).map(([code, type]) => ({ relationship_code: Number(code), relationship_type: type }))
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(legend), 'Relationship legend')
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Field', 'Value'], ...Object.entries(metadata).map(([k, v]) => [k, v ?? ''])]), 'Run metadata')
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' })
+}
+
+async function parquetBuffer (store, job, metadata) {
+  const { columns, types, rows } = await collectRows(store, job)
+  // INT64 values are written as BigInt
+  const toParquet = (type, v) => (type === 'INT64' && v != null ? BigInt(v) : v)
+  const columnData = columns.map((name, i) => ({ name, type: types[i], data: rows.map(r => toParquet(types[i], r[name])) }))
+  const kvMetadata = Object.entries(metadata).map(([key, v]) => ({ key, value: String(v ?? '') }))
+  return new Uint8Array(parquetWriteBuffer({ columnData, kvMetadata }))
+}
+
+/**
+ * Response body for a job's output in `format` (a key of OUTPUT_FORMATS), or null when no output is
+ * stored yet. `metadata` ({ label: value }) fills the XLSX "Run metadata" sheet and the Parquet
+ * key-value metadata.
+ */
+export async function formatOutput (store, job, format, metadata = {}) {
+  if (!job.outputBlobKey) return null
+  switch (format) {
+    case 'csv': return outputStream(store, job)
+    case 'jsonl': return jsonlStream(store, job)
+    case 'xlsx': return xlsxBuffer(store, job, metadata)
+    case 'parquet': return parquetBuffer(store, job, metadata)
+    default: throw new Error(`Unsupported format: ${format}`)
+  }
+}
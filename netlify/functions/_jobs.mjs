@@ -0,0 +1,183 @@
+// netlify/functions/_jobs.mjs
+// Shared helpers for functions that create or restart processing jobs.
+
+import { Prisma } from '@prisma/client'
+
+// ===== Queue =====
+// Jobs wait in the database as 'queued'. A worker invocation (process-upload-background) claims one with
+// claimJob: the row is locked with FOR UPDATE SKIP LOCKED, so two workers never get the same job, and
+// becomes 'running' with a lease (lockedBy/lockedAt). The worker renews the lease on a timer and
+// releases it whenever it leaves 'running' (yield, pause, completion, failure). A lease not renewed for
+// JOB_LEASE_MS belongs to a dead worker; the watchdog puts that job back in the queue. The default stays
+// well above one row's worst-case LLM retrying (LLM_MAX_RETRIES waits of up to LLM_RETRY_MAX_MS plus the
+// requests), so even a stalled renewal does not hand a live job to a second worker.
+// Worker invocations are started only by dispatchWorkers: every minute by process-queue-scheduled.mjs,
+// and right away by functions that queue work so it does not wait for the next tick.
+//
+// Scheduling: a job runs in slices of at most MAX_RUN_MS, and each slice is claimed afresh. The claim
+// takes the highest Job.priority first (admins set it, see admin-jobs.js); among equal priorities it
+// prefers the owner with the fewest running jobs, then the one whose last claim (Job.claimedAt) is
+// oldest, so slices rotate between users instead of following createdAt. No owner holds more than
+// MAX_JOBS_PER_USER leases at once, and no more than MAX_WORKERS leases are held in all. Jobs created without
+// userId belong to their upload's owner.
+export const LEASE_MS = Number(process.env.JOB_LEASE_MS || 5 * 60 * 1000)
+// Leases held at once. claimJob enforces it; dispatchWorkers only aims for it (see there)
+export const MAX_WORKERS = Math.max(1, Number(process.env.MAX_WORKERS || 4))
+export const MAX_JOBS_PER_USER = Math.max(1, Number(process.env.MAX_JOBS_PER_USER || 1))
+// Jobs paused by the LLM circuit breaker wait in the queue this long before they can be claimed again
+export const LLM_PAUSE_MS = Number(process.env.LLM_PAUSE_MS || 5 * 60 * 1000)
+export const LLM_PAUSE_PREFIX = 'Paused at row'
+
+// Lease columns cleared whenever a job leaves 'running'
+export const RELEASE_LEASE = { lockedAt: null, lockedBy: null }
+
+// Every queued or running job with its owner (`owned`), and per owner the live leases and the latest claim
+// (`load`). Finished jobs are left out so a claim reads only the live part of the queue, however long the history.
+const queueView = () => Prisma.sql`
+  WITH owned AS (
+    SELECT j.id, j.status, j.error, j.priority, j."createdAt", j."lastHeartbeat", j."lockedBy", j."lockedAt", j."claimedAt",
+           COALESCE(j."userId", u."userId", '') AS owner
+    FROM "Job" j JOIN "Upload" u ON u.id = j."uploadId"
+    WHERE j.status IN ('queued', 'running')
+  ), load AS (
+    SELECT owner,
+           (count(*) FILTER (WHERE status = 'running' AND "lockedAt" >= ${new Date(Date.now() - LEASE_MS)}))::int AS running,
+           max("claimedAt") AS last_claimed
+    FROM owned GROUP BY owner
+  )`
+
+// Queued jobs (of `owned` o) a worker may take now: not waiting for a budget raise or for the LLM pause to run out,
+// and not still leased by the worker of a run that was paused and resumed (it releases the lease once it has
+// written what it has; see job-control.mjs)
+const claimable = () => Prisma.sql`
+  o.status = 'queued'
+  AND (o."lockedBy" IS NULL OR o."lockedAt" < ${new Date(Date.now() - LEASE_MS)})
+  AND (o.error IS NULL
+    OR (o.error NOT LIKE ${BUDGET_PAUSE_PREFIX + '%'}
+      AND NOT (o.error LIKE ${LLM_PAUSE_PREFIX + '%'} AND COALESCE(o."lastHeartbeat", 'epoch'::timestamp) > ${new Date(Date.now() - LLM_PAUSE_MS)})))`
+
+/**
+ * Claim the next job in scheduling order (or `jobId` only, when given and its owner is under the cap) for
+ * `workerId`: it becomes 'running' with a fresh lease. Returns the job id, or null when there is nothing
+ * to claim. Claims take turns (advisory lock), so the per-user cap and MAX_WORKERS hold under concurrent workers.
+ */
+export async function claimJob (prisma, { workerId, jobId = null }) {
+  const now = new Date()
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('job-queue-claim'))`
+    const rows = await tx.$queryRaw`
+      ${queueView()}, pick AS (
+        SELECT o.id FROM owned o JOIN load l ON l.owner = o.owner
+        WHERE ${claimable()} AND l.running < ${MAX_JOBS_PER_USER}
+          AND (SELECT COALESCE(sum(running), 0) FROM load) < ${MAX_WORKERS} ${jobId ? Prisma.sql`AND o.id = ${jobId}` : Prisma.empty}
+        ORDER BY o.priority DESC, l.running ASC, l.last_claimed ASC NULLS FIRST, o."createdAt" ASC
+        LIMIT 1
+      )
+      UPDATE "Job"
+      SET status = 'running', "lockedBy" = ${workerId}, "lockedAt" = ${now}, "lastHeartbeat" = ${now}, "claimedAt" = ${now},
+          "startedAt" = COALESCE("startedAt", ${now}), error = NULL, "updatedAt" = ${now}
+      WHERE id = (SELECT id FROM "Job" WHERE id = (SELECT id FROM pick) AND status = 'queued' FOR UPDATE SKIP LOCKED)
+      RETURNING id`
+    return rows[0]?.id ?? null
+  })
+}
+
+// Extend the lease; false when the worker no longer holds it (job stopped, or reclaimed after expiry)
+export async function renewLease (prisma, jobId, workerId) {
+  const now = new Date()
+  const res = await prisma.job.updateMany({ where: { id: jobId, status: 'running', lockedBy: workerId }, data: { lockedAt: now, lastHeartbeat: now } })
+  return res.count > 0
+}
+
+// Start one worker invocation; it claims whatever is next in the queue. Failures are logged, not thrown.
+async function startWorker ({ base, label }) {
+  try {
+    const res = await fetch(`${base}/.netlify/functions/process-upload-background`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({})
+    })
+    return res.status
+  } catch (err) {
+    console.error(`[${label}] Failed to start a worker:`, err)
+    return null
+  }
+}
+
+/**
+ * Start a worker for each job that can be claimed now, up to MAX_WORKERS leases at once. Safe to call any time: a
+ * worker that finds nothing to claim exits. Returns the number of workers started.
+ * Workers started but not yet holding a lease are not counted, so calls in quick succession can start more
+ * than MAX_WORKERS invocations; the extra ones find the cap reached in claimJob and exit idle.
+ */
+export async function dispatchWorkers (prisma, { base = process.env.URL || process.env.DEPLOY_URL || process.env.NETLIFY_BASE_URL || 'https://taxis2.netlify.app', label = 'jobs' } = {}) {
+  const active = await prisma.job.count({ where: { status: 'running', lockedAt: { gte: new Date(Date.now() - LEASE_MS) } } })
+  // Claimable jobs, counting no more per owner than their free slots under MAX_JOBS_PER_USER
+  const [{ n }] = await prisma.$queryRaw`
+    ${queueView()}
+    SELECT COALESCE(sum(LEAST(q.n, GREATEST(0, ${MAX_JOBS_PER_USER} - l.running))), 0)::int AS n
+    FROM (SELECT o.owner, count(*)::int AS n FROM owned o WHERE ${claimable()} GROUP BY o.owner) q
+    JOIN load l ON l.owner = q.owner`
+  const launch = Math.min(n, MAX_WORKERS - active)
+  for (let i = 0; i < launch; i++) await startWorker({ base, label })
+  if (launch > 0) console.info(`[${label}] Started ${launch} worker(s) for ${n} queued job(s), ${active} running`)
+  return Math.max(0, launch)
+}
+
+// ===== Event log =====
+// JobEvent rows make up a job's timeline (job-timeline.mjs). Types: queued, started, flushed, yielded,
+// requeued (by the watchdog), completed, failed, paused, stopped, lease_lost, resumed, cancelled, retried,
+// priority, retracted. Events of a worker run carry its runId (the lease id).
+
+/** Append an event to a job's log. Logging never fails the caller: errors are only reported. */
+export async function recordJobEvent (prisma, jobId, type, { runId = null, ...details } = {}) {
+  try {
+    await prisma.jobEvent.create({ data: { jobId, type, runId, details: Object.keys(details).length ? details : undefined } })
+  } catch (err) {
+    console.warn(`[job-events] could not record ${type} for job ${jobId}:`, err?.message || err)
+  }
+}
+
+// Statuses set by job-control.mjs. The worker does not start such a job, stops a running one between
+// rows, and never overwrites them with its own status changes.
+export const STOPPED_STATUSES = ['paused', 'cancelled']
+
+// ===== Monthly budgets =====
+// A user's budget is User.monthlyBudgetCents, else DEFAULT_MONTHLY_BUDGET_CENTS; unset means unlimited.
+// Spend is what the user's jobs ran up in the current calendar month (UTC), from JobSpend: a job that
+// started last month spends against this month from the first checkpoint it writes this month.
+// Cents stay unrounded throughout; only display rounds them.
+// A job that runs over budget is left 'queued' with an error starting with BUDGET_PAUSE_PREFIX;
+// no worker claims it until the budget is raised (see admin-usage.mjs).
+export const BUDGET_PAUSE_PREFIX = 'Budget exceeded'
+
+export const monthStart = (d = new Date()) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1))
+
+export const formatCents = (c) => `$${(Number(c || 0) / 100).toFixed(2)}`
+
+export function defaultMonthlyBudgetCents () {
+  const v = process.env.DEFAULT_MONTHLY_BUDGET_CENTS
+  return v === undefined || v === '' ? null : Number(v)
+}
+
+export async function monthlyBudgetCents (prisma, userId) {
+  if (!userId) return null
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { monthlyBudgetCents: true } })
+  return user?.monthlyBudgetCents ?? defaultMonthlyBudgetCents()
+}
+
+export async function monthSpendCents (prisma, userId, { month = monthStart() } = {}) {
+  const agg = await prisma.jobSpend.aggregate({ where: { userId, month }, _sum: { costCents: true } })
+  return agg._sum.costCents || 0
+}
+
+/** Add `delta` ({ tokensIn, tokensOut, cents }) to the job's spend for the current month. */
+export async function recordSpend (prisma, { jobId, userId }, { tokensIn = 0, tokensOut = 0, cents = 0 }) {
+  if (!tokensIn && !tokensOut && !cents) return
+  const month = monthStart()
+  await prisma.jobSpend.upsert({
+    where: { jobId_month: { jobId, month } },
+    create: { jobId, month, userId, tokensIn, tokensOut, costCents: cents },
+    update: { tokensIn: { increment: tokensIn }, tokensOut: { increment: tokensOut }, costCents: { increment: cents } }
+  })
+}
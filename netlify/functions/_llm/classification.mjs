@@ -0,0 +1,166 @@
+// netlify/functions/_llm/classification.mjs
+// Structured-output contract for relationship classification.
+//
+// The model must answer with one JSON object:
+//   { code, label, rationale, intermediate, confidence }
+// `label` is informational only — the stored relationshipType always comes from RELATIONSHIP_TYPES[code],
+// so a chatty model can no longer leak rationale fragments into MasterRecord.relationshipType.
+
+// ===== Relationship categories =====
+export const RELATIONSHIP_TYPES = {
+  1: 'A causes B',
+  2: 'B causes A',
+  3: 'A indirectly causes B',
+  4: 'B indirectly causes A',
+  5: 'A and B share common cause',
+  6: 'Treatment of A causes B',
+  7: 'Treatment of B causes A',
+  8: 'A and B have similar initial presentations',
+  9: 'A is subset of B',
+  10: 'B is subset of A',
+  11: 'No clear relationship'
+}
+
+// Categories that are only valid with a named intermediate / common-cause concept
+const NEEDS_INTERMEDIATE = new Set([3, 4, 5])
+
+export const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['code', 'label', 'rationale', 'intermediate', 'confidence'],
+  properties: {
+    // Ranges live in the descriptions: strict structured-output mode rejects minimum/maximum
+    code: { type: 'integer', description: 'Relationship category number, 1-11' },
+    label: { type: 'string', description: 'Short category description' },
+    rationale: { type: 'string', description: 'Concise clinical rationale' },
+    intermediate: { type: ['string', 'null'], description: 'Named intermediate (3/4) or common-cause (5) concept, otherwise null' },
+    confidence: { type: 'number', description: 'Confidence in the chosen category, 0..1' }
+  }
+}
+
+export const REPLY_INSTRUCTIONS =
+  'Respond with a single JSON object and nothing else:\n' +
+  '{"code": <1-11>, "label": "<category description>", "rationale": "<concise rationale>", ' +
+  '"intermediate": "<named intermediate or common-cause concept, or null>", "confidence": <0.0-1.0>}\n' +
+  '"intermediate" is required for categories 3, 4 and 5 and must be null otherwise.'
+
+// Batch mode: several numbered pairs per request, answered as { results: [{ index, ...classification }] }
+export const BATCH_CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['results'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['index', ...CLASSIFICATION_SCHEMA.required],
+        properties: { index: { type: 'integer', description: 'Number of the pair being answered' }, ...CLASSIFICATION_SCHEMA.properties }
+      }
+    }
+  }
+}
+
+export const BATCH_REPLY_INSTRUCTIONS =
+  'Several numbered pairs follow. Classify each one independently.\n' +
+  'Respond with a single JSON object and nothing else:\n' +
+  '{"results": [{"index": <pair number>, "code": <1-11>, "label": "<category description>", "rationale": "<concise rationale>", ' +
+  '"intermediate": "<named intermediate or common-cause concept, or null>", "confidence": <0.0-1.0>}, ...]}\n' +
+  'Include exactly one entry per pair. "intermediate" is required for categories 3, 4 and 5 and must be null otherwise.'
+
+// LLM_RESPONSE_FORMAT: json_schema (default) | json_object | none — for servers without schema support
+export function responseFormat (mode = process.env.LLM_RESPONSE_FORMAT || 'json_schema', { batch = false } = {}) {
+  const m = String(mode).trim().toLowerCase()
+  if (m === 'none') return null
+  if (m === 'json_object') return { type: 'json_object' }
+  return batch
+    ? { type: 'json_schema', json_schema: { name: 'relationship_classification_batch', strict: true, schema: BATCH_CLASSIFICATION_SCHEMA } }
+    : { type: 'json_schema', json_schema: { name: 'relationship_classification', strict: true, schema: CLASSIFICATION_SCHEMA } }
+}
+
+// Models sometimes wrap JSON in ```json fences even when asked not to
+function extractJson (content) {
+  const s = String(content ?? '').trim()
+  const fenced = s.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i)
+  return fenced ? fenced[1] : s
+}
+
+/**
+ * Parse and validate a model reply against CLASSIFICATION_SCHEMA.
+ * Returns { ok: true, value } or { ok: false, error } — never throws.
+ */
+export function parseClassification (content) {
+  let obj
+  try {
+    obj = JSON.parse(extractJson(content))
+  } catch (e) {
+    return { ok: false, error: `reply is not valid JSON (${e?.message || e})` }
+  }
+  return validateClassification(obj)
+}
+
+export function validateClassification (obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { ok: false, error: 'reply is not a JSON object' }
+
+  const code = obj.code
+  if (!Number.isInteger(code) || !RELATIONSHIP_TYPES[code]) return { ok: false, error: `"code" must be an integer 1-11, got ${JSON.stringify(code)}` }
+
+  if (typeof obj.rationale !== 'string' || !obj.rationale.trim()) return { ok: false, error: '"rationale" must be a non-empty string' }
+
+  const confidence = obj.confidence
+  if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) return { ok: false, error: `"confidence" must be a number between 0 and 1, got ${JSON.stringify(confidence)}` }
+
+  const rawIntermediate = obj.intermediate
+  if (rawIntermediate != null && typeof rawIntermediate !== 'string') return { ok: false, error: '"intermediate" must be a string or null' }
+  const intermediate = typeof rawIntermediate === 'string' && rawIntermediate.trim() ? rawIntermediate.trim() : null
+  if (NEEDS_INTERMEDIATE.has(code) && !intermediate) return { ok: false, error: `category ${code} requires a named "intermediate" concept` }
+
+  return {
+    ok: true,
+    value: {
+      code,
+      label: RELATIONSHIP_TYPES[code],
+      rationale: obj.rationale.trim(),
+      intermediate: NEEDS_INTERMEDIATE.has(code) ? intermediate : null,
+      confidence
+    }
+  }
+}
+
+/**
+ * Parse a batch reply for `count` pairs (numbered 1..count).
+ * Returns an array of per-pair results ({ ok, value } / { ok: false, error }) in pair order;
+ * a reply that cannot be read at all yields an error for every pair.
+ */
+export function parseBatchClassification (content, count) {
+  const failAll = (error) => Array.from({ length: count }, () => ({ ok: false, error }))
+  let obj
+  try {
+    obj = JSON.parse(extractJson(content))
+  } catch (e) {
+    return failAll(`batch reply is not valid JSON (${e?.message || e})`)
+  }
+  const list = Array.isArray(obj) ? obj : obj?.results
+  if (!Array.isArray(list)) return failAll('batch reply has no "results" array')
+
+  const out = failAll('no entry for this pair in the batch reply')
+  const seen = new Set()
+  for (const entry of list) {
+    const index = entry?.index
+    if (!Number.isInteger(index) || index < 1 || index > count) continue
+    if (seen.has(index)) {
+      out[index - 1] = { ok: false, error: 'pair answered more than once in the batch reply' }
+      continue
+    }
+    seen.add(index)
+    const { index: _ignored, ...rest } = entry
+    out[index - 1] = validateClassification(rest)
+  }
+  return out
+}
+
+// Follow-up turn sent once when a reply fails validation
+export function correctionMessage (error) {
+  return `Your previous reply was invalid: ${error}. ${REPLY_INSTRUCTIONS}`
+}
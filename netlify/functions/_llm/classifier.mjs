@@ -0,0 +1,164 @@
+// netlify/functions/_llm/classifier.mjs
+// Relationship classification against a provider from ./providers.mjs.
+//
+// createClassifier() returns { classify(input) } where `input` is whatever `renderPair` understands.
+// With batchSize > 1, concurrent classify() calls are collected for up to `batchWaitMs` and sent as
+// one multi-pair request; any pair whose batch answer is missing or invalid falls back to its own call.
+//
+// Every result has the shape
+//   { relCode, relType, rationalText, intermediate, confidence, usedModel, usage, llmStatus }
+// llmStatus: 'ok' | 'parse_error' (reply failed validation twice) | 'error' (no usable HTTP response after retries)
+//
+// Transient HTTP failures are retried with backoff (./retry.mjs). After too many consecutive
+// 'error' results the circuit breaker opens and classify() rejects with LlmUnavailableError.
+
+import {
+  RELATIONSHIP_TYPES, REPLY_INSTRUCTIONS, BATCH_REPLY_INSTRUCTIONS,
+  responseFormat, parseClassification, parseBatchClassification, correctionMessage
+} from './classification.mjs'
+import { withRetry, createCircuitBreaker } from './retry.mjs'
+
+export const BATCH_PAIR_HEADER = '### Pair'
+
+export const addUsage = (a = {}, b = {}) => ({
+  prompt_tokens: (a.prompt_tokens || 0) + (b.prompt_tokens || 0),
+  completion_tokens: (a.completion_tokens || 0) + (b.completion_tokens || 0),
+  total_tokens: (a.total_tokens || 0) + (b.total_tokens || 0)
+})
+
+// Split one request's usage across n pairs; integer remainders go to the first pairs so totals still add up
+export function splitUsage (usage = {}, n) {
+  const share = (total, i) => {
+    const t = Number(total) || 0
+    return Math.floor(t / n) + (i < t % n ? 1 : 0)
+  }
+  return Array.from({ length: n }, (_, i) => ({
+    prompt_tokens: share(usage.prompt_tokens, i),
+    completion_tokens: share(usage.completion_tokens, i),
+    total_tokens: share(usage.total_tokens, i)
+  }))
+}
+
+const isMissingModel = (resp) => resp.status === 403 || resp.status === 404 || /model_not_found|DeploymentNotFound/.test(resp.errorText)
+
+const okResult = (v, model, usage) => ({ relCode: v.code, relType: v.label, rationalText: v.rationale, intermediate: v.intermediate, confidence: v.confidence, usedModel: model, usage, llmStatus: 'ok' })
+
+export function createClassifier ({ provider, limiter, instructions, renderPair, batchSize = 1, batchWaitMs = 250, breaker = createCircuitBreaker(), temperature = 0 }) {
+  // Each attempt waits for its own rate-limit slot, including retries
+  const send = (model, args) => withRetry(async () => {
+    if (limiter) await limiter.acquire(model)
+    return provider.chat({ model, ...args })
+  })
+
+  async function classifyOne (input) {
+    breaker.check()
+    const result = await classifyOneUnguarded(input)
+    if (result.llmStatus === 'error') breaker.failure(result.rationalText)
+    else breaker.success()
+    // Rows that hit the failure that opened the breaker are not written either
+    breaker.check()
+    return result
+  }
+
+  async function classifyOneUnguarded (input) {
+    const format = responseFormat()
+    let lastErrText = ''
+    for (const model of provider.models) {
+      try {
+        const messages = [{ role: 'system', content: `${instructions}\n\n${REPLY_INSTRUCTIONS}` }, { role: 'user', content: renderPair(input) }]
+        let usage = {}
+        let lastParseError = ''
+        let resp = null
+        // One retry with a corrective turn when the reply fails schema validation
+        for (let attempt = 0; attempt < 2; attempt++) {
+          resp = await send(model, { temperature, messages, responseFormat: format })
+          if (!resp.ok) break
+          usage = addUsage(usage, resp.usage)
+          const parsed = parseClassification(resp.content)
+          if (parsed.ok) return okResult(parsed.value, model, usage)
+          lastParseError = parsed.error
+          console.warn(`[LLM] invalid reply from ${model} (attempt ${attempt + 1}):`, parsed.error, '|', String(resp.content).slice(0, 200))
+          messages.push({ role: 'assistant', content: resp.content }, { role: 'user', content: correctionMessage(parsed.error) })
+        }
+        if (resp && !resp.ok) {
+          console.error('[LLM] HTTP error', resp.status, resp.errorText)
+          lastErrText = resp.errorText
+          if (isMissingModel(resp)) continue
+          break
+        }
+        return { relCode: 11, relType: RELATIONSHIP_TYPES[11], rationalText: `LLM parse error: ${lastParseError}`.slice(0, 500), intermediate: null, confidence: null, usedModel: model, usage, llmStatus: 'parse_error' }
+      } catch (e) {
+        console.error('[LLM] exception for model', model, e?.message || e)
+      }
+    }
+    return { relCode: 11, relType: RELATIONSHIP_TYPES[11], rationalText: lastErrText ? `LLM error: ${lastErrText.slice(0, 200)}` : 'LLM unavailable', intermediate: null, confidence: null, usedModel: provider.models[0], usage: {}, llmStatus: 'error' }
+  }
+
+  // One request for all inputs. Returns one entry per input: a result, or null when that pair needs its own call.
+  async function classifyBatch (inputs) {
+    const format = responseFormat(undefined, { batch: true })
+    const body = inputs.map((input, i) => `${BATCH_PAIR_HEADER} ${i + 1}\n${renderPair(input)}`).join('\n\n')
+    for (const model of provider.models) {
+      try {
+        const resp = await send(model, {
+          temperature,
+          messages: [{ role: 'system', content: `${instructions}\n\n${BATCH_REPLY_INSTRUCTIONS}` }, { role: 'user', content: body }],
+          responseFormat: format
+        })
+        if (!resp.ok) {
+          console.error('[LLM] batch HTTP error', resp.status, resp.errorText)
+          if (isMissingModel(resp)) continue
+          break
+        }
+        const shares = splitUsage(resp.usage, inputs.length)
+        return parseBatchClassification(resp.content, inputs.length).map((parsed, i) => {
+          if (parsed.ok) return okResult(parsed.value, model, shares[i])
+          console.warn(`[LLM] batch item ${i + 1}/${inputs.length} from ${model} invalid, retrying alone:`, parsed.error)
+          // Keep this pair's share of the batch tokens so the fallback call's usage adds to it
+          return { fallback: true, usage: shares[i] }
+        })
+      } catch (e) {
+        console.error('[LLM] batch exception for model', model, e?.message || e)
+      }
+    }
+    return inputs.map(() => ({ fallback: true, usage: {} }))
+  }
+
+  async function classifyBatchWithFallback (inputs) {
+    breaker.check()
+    if (inputs.length === 1) return [await classifyOne(inputs[0])]
+    const batched = await classifyBatch(inputs)
+    return Promise.all(batched.map(async (r, i) => {
+      if (!r.fallback) return r
+      const single = await classifyOne(inputs[i])
+      return { ...single, usage: addUsage(r.usage, single.usage) }
+    }))
+  }
+
+  if (!(batchSize > 1)) return { classify: classifyOne }
+
+  // Micro-batching: queue concurrent requests and flush when full or after batchWaitMs
+  const queue = []
+  let timer = null
+
+  const flush = () => {
+    if (timer) { clearTimeout(timer); timer = null }
+    const items = queue.splice(0, batchSize)
+    if (queue.length) timer = setTimeout(flush, batchWaitMs)
+    if (!items.length) return
+    classifyBatchWithFallback(items.map(q => q.input)).then(
+      (results) => items.forEach((q, i) => q.resolve(results[i])),
+      (err) => items.forEach((q) => q.reject(err))
+    )
+  }
+
+  return {
+    classify (input) {
+      return new Promise((resolve, reject) => {
+        queue.push({ input, resolve, reject })
+        if (queue.length >= batchSize) flush()
+        else if (!timer) timer = setTimeout(flush, batchWaitMs)
+      })
+    }
+  }
+}
@@ -0,0 +1,97 @@
+// netlify/functions/_llm/consensus.mjs
+// Multi-model consensus: classify each pair with several models (or several samples of one model)
+// and keep the majority answer.
+//
+// LLM_CONSENSUS_MODELS       comma-separated models that vote (e.g. "gpt-4o,gpt-4.1-mini")
+// LLM_CONSENSUS_SAMPLES      answers requested from each model (default 1)
+// LLM_CONSENSUS_TEMPERATURE  sampling temperature when SAMPLES > 1 (default 0.7; 0 otherwise)
+// Consensus is on when the models × samples give at least two votes.
+//
+// Results have the createClassifier() shape plus
+//   agreement  share of valid votes that chose the winning code (0..1); < 1 means the voters disagreed
+//   votes      [{ model, code, confidence, status }] — one per vote, including failed ones
+//   usageByModel  token usage per voting model, for pricing
+// `usedModel` is a descriptor such as "consensus:gpt-4o+gpt-4.1-mini", so cached consensus answers
+// are never mixed up with single-model ones.
+
+import { createClassifier, addUsage } from './classifier.mjs'
+import { createCircuitBreaker } from './retry.mjs'
+
+const splitList = (s) => String(s || '').split(',').map(x => x.trim()).filter(Boolean)
+
+export function consensusConfig () {
+  const models = splitList(process.env.LLM_CONSENSUS_MODELS)
+  const samples = Math.max(1, Math.floor(Number(process.env.LLM_CONSENSUS_SAMPLES || 1)))
+  const temperature = samples > 1 ? Number(process.env.LLM_CONSENSUS_TEMPERATURE ?? 0.7) : 0
+  return { enabled: models.length * samples >= 2, models, samples, temperature }
+}
+
+/**
+ * A consensus answer needs human review when the voters disagreed or fewer than two of them answered.
+ * Single-model results (no votes) never do.
+ */
+export function needsReview ({ agreement, votes } = {}) {
+  if (!Array.isArray(votes) || !votes.length) return false
+  const valid = votes.filter(v => v.status === 'ok').length
+  return valid < 2 || (agreement != null && agreement < 1)
+}
+
+export const consensusDescriptor = ({ models, samples }) => `consensus:${models.join('+')}${samples > 1 ? `x${samples}` : ''}`
+
+// Majority code among valid votes; ties go to the higher mean confidence, then to voter order
+function tally (results) {
+  const valid = results.filter(r => r.llmStatus === 'ok')
+  const byCode = new Map()
+  for (const r of valid) {
+    const entry = byCode.get(r.relCode) || { code: r.relCode, results: [], confidence: 0 }
+    entry.results.push(r)
+    entry.confidence += Number(r.confidence) || 0
+    byCode.set(r.relCode, entry)
+  }
+  let best = null
+  for (const entry of byCode.values()) {
+    const mean = entry.confidence / entry.results.length
+    if (!best || entry.results.length > best.results.length || (entry.results.length === best.results.length && mean > best.mean)) best = { ...entry, mean }
+  }
+  return { valid, best }
+}
+
+export function createConsensusClassifier ({ provider, limiter, instructions, renderPair, batchSize, batchWaitMs, config = consensusConfig() }) {
+  const { models, samples, temperature } = config
+  const descriptor = consensusDescriptor(config)
+  // One breaker for all voters: the job pauses when the provider as a whole is failing
+  const breaker = createCircuitBreaker()
+  const voters = models.map(model => ({
+    model,
+    classifier: createClassifier({ provider: { ...provider, models: [model] }, limiter, instructions, renderPair, batchSize, batchWaitMs, breaker, temperature })
+  }))
+
+  async function classify (input) {
+    const calls = voters.flatMap(v => Array.from({ length: samples }, () => v.classifier.classify(input)))
+    const results = await Promise.all(calls)
+    const usage = results.reduce((acc, r) => addUsage(acc, r.usage), {})
+    const usageByModel = {}
+    for (const r of results) usageByModel[r.usedModel] = addUsage(usageByModel[r.usedModel], r.usage)
+    const votes = results.map(r => ({ model: r.usedModel, code: r.llmStatus === 'ok' ? r.relCode : null, confidence: r.llmStatus === 'ok' ? r.confidence : null, status: r.llmStatus }))
+
+    const { valid, best } = tally(results)
+    if (!best) {
+      // Nobody produced a usable answer: surface the most informative failure
+      const failed = results.find(r => r.llmStatus === 'parse_error') || results[0]
+      return { ...failed, usedModel: descriptor, usage, usageByModel, agreement: null, votes }
+    }
+    // Rationale and intermediate come from the most confident voter in the majority
+    const lead = best.results.reduce((a, b) => ((Number(b.confidence) || 0) > (Number(a.confidence) || 0) ? b : a))
+    return {
+      ...lead,
+      confidence: Math.round(best.mean * 10000) / 10000,
+      usedModel: descriptor,
+      usage,
+      usageByModel,
+      agreement: Math.round((best.results.length / valid.length) * 10000) / 10000,
+      votes
+    }
+  }
+
+  return { classify, models: [descriptor] }
+}
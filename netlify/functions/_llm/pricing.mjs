@@ -0,0 +1,60 @@
+// netlify/functions/_llm/pricing.mjs
+// Token pricing for job cost accounting.
+//
+// Prices are USD per 1M tokens. LLM_PRICES (JSON) adds or overrides entries, e.g.
+//   {"gpt-4o": {"input": 2.5, "output": 10}, "my-vllm-model": {"input": 0, "output": 0}}
+// A model without an exact entry uses the longest matching prefix ("gpt-4o-2024-08-06" → "gpt-4o");
+// unknown models are counted as free and logged once.
+
+const DEFAULT_PRICES = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'mock-1': { input: 0, output: 0 }
+}
+
+export function priceTable () {
+  let overrides = {}
+  try {
+    overrides = process.env.LLM_PRICES ? JSON.parse(process.env.LLM_PRICES) : {}
+  } catch (e) {
+    console.warn('[pricing] LLM_PRICES is not valid JSON, using defaults:', e?.message || e)
+  }
+  return { ...DEFAULT_PRICES, ...overrides }
+}
+
+const warned = new Set()
+export function priceFor (model, table = priceTable()) {
+  const m = String(model || '')
+  if (table[m]) return table[m]
+  const prefix = Object.keys(table).filter(k => m.startsWith(k)).sort((a, b) => b.length - a.length)[0]
+  if (prefix) return table[prefix]
+  if (m && !warned.has(m)) {
+    warned.add(m)
+    console.warn(`[pricing] no price for model "${m}"; add it to LLM_PRICES to count its cost`)
+  }
+  return { input: 0, output: 0 }
+}
+
+/**
+ * Tokens and cost for one classification. `usageByModel` maps model → { prompt_tokens, completion_tokens }.
+ * Returns { tokensIn, tokensOut, cents } with fractional cents; round only when persisting totals.
+ */
+export function spendOf (usageByModel = {}, table = priceTable()) {
+  let tokensIn = 0
+  let tokensOut = 0
+  let cents = 0
+  for (const [model, usage] of Object.entries(usageByModel)) {
+    const pin = Number(usage?.prompt_tokens) || 0
+    const pout = Number(usage?.completion_tokens) || 0
+    const price = priceFor(model, table)
+    tokensIn += pin
+    tokensOut += pout
+    cents += ((pin * (Number(price.input) || 0)) + (pout * (Number(price.output) || 0))) / 1e6 * 100
+  }
+  return { tokensIn, tokensOut, cents }
+}
+
+export const NO_SPEND = Object.freeze({ tokensIn: 0, tokensOut: 0, cents: 0 })
@@ -0,0 +1,180 @@
+// netlify/functions/_llm/prompts.mjs
+// Versioned prompt templates for relationship classification.
+//
+// A template is { version, system, user }: `system` holds the instructions (the classifier appends the
+// JSON reply contract), `user` describes one pair. Both may use {{placeholders}} from PROMPT_PLACEHOLDERS.
+// Templates live in the PromptTemplate table and are never edited in place — a wording change is a new
+// version — so MasterRecord.prompt_version / LlmCache.promptVersion always name the exact text used.
+// With no active template in the database the built-in one below is used, versioned as PROMPT_VERSION.
+//
+// Pairs are not all diagnoses: each concept's domain (from OMOP domain_id, else the uploaded type) picks
+// a pair variant — condition–condition, drug–condition, procedure–condition, … — whose guidance is
+// available to templates as {{domain_guidance}}. Changing variant wording means bumping the version.
+
+export const PROMPT_PLACEHOLDERS = {
+  concept_a: 'Concept A text',
+  concept_b: 'Concept B text',
+  events_ab: 'Co-occurrence count',
+  events_ab_ae: 'Actual-to-expected ratio (2 decimals)',
+  domain_a: 'Concept A domain (condition, drug, procedure, …)',
+  domain_b: 'Concept B domain',
+  class_a: 'Concept A OMOP concept_class_id, if known',
+  class_b: 'Concept B OMOP concept_class_id, if known',
+  domain_guidance: 'Guidance for this combination of domains'
+}
+
+// ===== Concept domains and pair variants =====
+const OMOP_DOMAINS = {
+  condition: 'condition',
+  'condition/meas': 'condition',
+  drug: 'drug',
+  procedure: 'procedure',
+  measurement: 'measurement',
+  observation: 'observation',
+  device: 'device'
+}
+const UPLOAD_TYPES = { condition: 'condition', medication: 'drug', procedure: 'procedure' }
+
+/**
+ * Normalized domain for one concept: the OMOP domain_id when the concept resolved, otherwise the
+ * uploaded type_a/type_b. Returns 'condition' | 'drug' | 'procedure' | 'measurement' | 'observation' | 'device' | 'other'.
+ */
+export function conceptDomain ({ domainId, uploadType } = {}) {
+  const d = OMOP_DOMAINS[String(domainId ?? '').trim().toLowerCase()]
+  if (d) return d
+  return UPLOAD_TYPES[String(uploadType ?? '').trim().toLowerCase()] || 'other'
+}
+
+// Guidance for a pair where `x` is the concept of the first domain in the variant key and `y` the other.
+// `x`/`y` are 'A' or 'B'; `cat` gives the 6/7 category where "treatment of x causes y".
+const VARIANTS = {
+  'condition-condition': () =>
+    'Both concepts are conditions. Reason about disease mechanisms (categories 1-5, 8-10); use 6 or 7 only when a documented treatment of one condition causes the other.',
+  'drug-condition': ({ x, y, cat }) =>
+    `Concept ${x} is a drug and Concept ${y} is a condition. If ${y} is a documented adverse effect of ${x}, choose ${cat} (treatment with ${x} causes ${y}). ` +
+    `If ${x} is used to treat or prevent ${y}, the co-occurrence reflects the indication, not causation: choose 11 unless another category is explicitly supported. ` +
+    'Subset categories (9/10) do not apply across a drug and a condition.',
+  'procedure-condition': ({ x, y, cat }) =>
+    `Concept ${x} is a procedure and Concept ${y} is a condition. If ${y} is a documented complication of ${x}, choose ${cat} (treatment with ${x} causes ${y}). ` +
+    `If ${x} is performed to diagnose or treat ${y}, that is the indication, not causation: choose 11 unless another category is explicitly supported.`,
+  'drug-drug': () =>
+    'Both concepts are drugs. Use 9/10 for an ingredient versus a product or class containing it; co-prescription alone is not a relationship (choose 11). Category 8 does not apply.',
+  'drug-procedure': ({ x, y }) =>
+    `Concept ${x} is a drug and Concept ${y} is a procedure. Routine co-administration (e.g. anesthesia, prophylaxis) is not causation; choose 11 unless one documented concept explicitly causes or necessitates the other.`,
+  'procedure-procedure': () =>
+    'Both concepts are procedures. Use 9/10 for a specific procedure versus a broader one that includes it; procedures performed together in a care pathway are not causally related (choose 11) unless one is a documented consequence of the other.'
+}
+const GENERIC_VARIANT = ({ domainA, domainB }) =>
+  `Concept A is a ${domainA} concept and Concept B is a ${domainB} concept. Apply the categories only where they make sense for these concept types; otherwise choose 11.`
+
+/**
+ * Pick the prompt variant for a pair of domains. Returns { key, guidance }; `key` is direction-neutral
+ * (e.g. 'drug-condition' whichever side the drug is on) while the guidance names the right concept.
+ */
+export function promptVariant (domainA, domainB) {
+  for (const [key, render] of Object.entries(VARIANTS)) {
+    const [first, second] = key.split('-')
+    if (domainA === first && domainB === second) return { key, guidance: render({ x: 'A', y: 'B', cat: 6 }) }
+    if (domainB === first && domainA === second) return { key, guidance: render({ x: 'B', y: 'A', cat: 7 }) }
+  }
+  return { key: 'generic', guidance: GENERIC_VARIANT({ domainA, domainB }) }
+}
+
+// Every pair prompt has to say which two concepts are being classified
+const REQUIRED_IN_USER = ['concept_a', 'concept_b']
+
+const BUILTIN_SYSTEM = (
+  `You are an expert clinician skilled at identifying clinical relationships between medical concepts: conditions, drugs, procedures, measurements and observations.\n` +
+  `Interpretation guidelines for the actual-to-expected ratio (events_ab_ae):\n` +
+  `- ≥ 2.0: Strong statistical evidence; carefully consider relationships.\n` +
+  `- 1.5–1.99: Moderate evidence; cautious evaluation.\n` +
+  `- 1.0–1.49: Weak evidence; rely primarily on clinical knowledge.\n` +
+  `- < 1.0: Minimal evidence; avoid indirect/speculative claims.\n\n` +
+  `Explicit guidelines to avoid speculation:\n` +
+  `- Direct causation: Only if explicit and clinically accepted.\n` +
+  `  Example: Pneumonia causes cough.\n\n` +
+  `- Indirect causation: Only with explicit and named intermediate concept.\n` +
+  `  Example: Pneumonia → sepsis → acute kidney injury.\n\n` +
+  `- Common cause: Only with clearly documented third concept.\n` +
+  `  Example: Obesity clearly causing both diabetes type 2 and osteoarthritis.\n\n` +
+  `- Treatment-caused: Only if explicitly well-documented.\n` +
+  `  Example: Chemotherapy for cancer causing nausea; a drug causing its documented adverse effect.\n\n` +
+  `- Similar presentations: Only if clinically documented similarity exists.\n\n` +
+  `- Subset relationship: Explicitly broader or unspecified form.\n\n` +
+  `If evidence or explicit documentation is lacking, choose category 11 (No clear relationship).\n\n` +
+  `Categories:\n` +
+  `1: A causes B\n2: B causes A\n3: A indirectly causes B (explicit intermediate required)\n4: B indirectly causes A (explicit intermediate required)\n5: A and B share common cause (explicit third condition required)\n6: Treatment of A causes B (explicit treatment documentation required)\n7: Treatment of B causes A (explicit treatment documentation required)\n8: A and B have similar initial presentations\n9: A is subset of B\n10: B is subset of A\n11: No clear relationship (default)`
+)
+
+const BUILTIN_USER = (
+  `Statistical indicators provided:\n` +
+  `- events_ab (co-occurrences): {{events_ab}}\n` +
+  `- events_ab_ae (actual-to-expected ratio): {{events_ab_ae}}\n\n` +
+  `Classify explicitly the relationship between:\n` +
+  `- Concept A ({{domain_a}}{{class_a}}): {{concept_a}}\n` +
+  `- Concept B ({{domain_b}}{{class_b}}): {{concept_b}}\n\n` +
+  `{{domain_guidance}}`
+)
+
+// v2: structured JSON replies (see ./classification.mjs); v3: domain-aware pair variants
+export const BUILTIN_PROMPT = Object.freeze({
+  version: process.env.PROMPT_VERSION ?? 'v3',
+  system: BUILTIN_SYSTEM,
+  user: BUILTIN_USER,
+  builtin: true
+})
+
+const PLACEHOLDER_RE = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g
+
+export function renderTemplate (template, vars) {
+  return String(template ?? '').replace(PLACEHOLDER_RE, (_, name) => String(vars[name] ?? ''))
+}
+
+// Values for one pair, keyed by placeholder name
+export function pairVariables ({ conceptAText, conceptBText, events_ab, events_ab_ae, domainA = 'other', domainB = 'other', classA, classB }) {
+  return {
+    concept_a: conceptAText,
+    concept_b: conceptBText,
+    events_ab,
+    events_ab_ae: Number(events_ab_ae ?? 0).toFixed(2),
+    domain_a: domainA,
+    domain_b: domainB,
+    class_a: classA ? `; ${classA}` : '',
+    class_b: classB ? `; ${classB}` : '',
+    domain_guidance: promptVariant(domainA, domainB).guidance
+  }
+}
+
+/**
+ * Check a template before it is saved. Returns a list of problems (empty when valid).
+ */
+export function templateErrors ({ version, system, user }) {
+  const errors = []
+  if (!String(version ?? '').trim()) errors.push('version is required')
+  else if (String(version).trim().length > 32) errors.push('version must be at most 32 characters')
+  if (!String(system ?? '').trim()) errors.push('system template is required')
+  if (!String(user ?? '').trim()) errors.push('user template is required')
+  for (const [field, text] of [['system', system], ['user', user]]) {
+    for (const [, name] of String(text ?? '').matchAll(PLACEHOLDER_RE)) {
+      if (!(name in PROMPT_PLACEHOLDERS)) errors.push(`unknown placeholder {{${name}}} in ${field} template`)
+    }
+  }
+  const used = new Set(Array.from(String(user ?? '').matchAll(PLACEHOLDER_RE), m => m[1]))
+  for (const name of REQUIRED_IN_USER) if (!used.has(name)) errors.push(`user template must include {{${name}}}`)
+  return Array.from(new Set(errors))
+}
+
+/**
+ * Resolve the template to classify with: the given version if set (a job keeps the version it
+ * started with), otherwise the active one, otherwise the built-in prompt.
+ */
+export async function loadPrompt (prisma, version = null) {
+  if (version) {
+    const row = await prisma.promptTemplate.findUnique({ where: { version } })
+    if (row) return { version: row.version, system: row.system, user: row.user }
+    if (version === BUILTIN_PROMPT.version) return BUILTIN_PROMPT
+    throw new Error(`Prompt template version "${version}" not found`)
+  }
+  const active = await prisma.promptTemplate.findFirst({ where: { active: true }, orderBy: { activatedAt: 'desc' } })
+  return active ? { version: active.version, system: active.system, user: active.user } : BUILTIN_PROMPT
+}
@@ -0,0 +1,158 @@
+// netlify/functions/_llm/providers.mjs
+// Chat-completion providers used by the classification pipeline.
+//
+// Selected with LLM_PROVIDER:
+//   openai             → api.openai.com (OPENAI_API_KEY)
+//   openai-compatible  → any server exposing /v1/chat/completions (LLM_BASE_URL, optional LLM_API_KEY),
+//                        e.g. vLLM or Ollama running inside the project network
+//   azure              → Azure OpenAI deployments (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+//                        AZURE_OPENAI_API_VERSION); "models" are deployment names
+//   mock               → deterministic offline replies, no network (LLM_MOCK_REPLY overrides the reply)
+//
+// LLM_MODELS (comma-separated) overrides the provider's model/deployment candidates, tried in order.
+// Every provider exposes the same shape:
+//   { name, label, models, chat({ model, messages, temperature, responseFormat }) → { ok, status, content, usage, errorText, retryAfterMs } }
+// `responseFormat` is passed through as the OpenAI `response_format` field when set.
+// Network failures come back as { ok: false, status: 0 } rather than throwing, so callers can retry them.
+
+import { createHash } from 'node:crypto'
+
+const OPENAI_DEFAULT_MODELS = ['gpt-4-turbo', 'gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini']
+
+const splitList = (s) => String(s || '').split(',').map(x => x.trim()).filter(Boolean)
+const trimSlash = (s) => String(s || '').replace(/\/+$/, '')
+
+function modelCandidates (defaults) {
+  const fromEnv = splitList(process.env.LLM_MODELS)
+  if (fromEnv.length) return fromEnv
+  const primary = process.env.OPENAI_API_MODEL
+  return Array.from(new Set([primary, ...defaults].filter(Boolean)))
+}
+
+const withResponseFormat = (body, responseFormat) => (responseFormat ? { ...body, response_format: responseFormat } : body)
+
+// Retry-After is seconds or an HTTP date; OpenAI and Azure also send retry-after-ms
+function retryAfterMs (headers) {
+  const ms = Number(headers.get('retry-after-ms'))
+  if (Number.isFinite(ms) && ms >= 0) return ms
+  const raw = headers.get('retry-after')
+  if (!raw) return null
+  const secs = Number(raw)
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000)
+  const at = Date.parse(raw)
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null
+}
+
+// Shared request/response handling for the OpenAI wire format
+async function postChatCompletion ({ url, headers, body }) {
+  let resp
+  try {
+    resp = await fetch(url, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body) })
+  } catch (e) {
+    return { ok: false, status: 0, content: '', usage: {}, errorText: `network error: ${e?.message || e}`, retryAfterMs: null }
+  }
+  if (!resp.ok) {
+    const errorText = await resp.text().catch(() => '')
+    return { ok: false, status: resp.status, content: '', usage: {}, errorText, retryAfterMs: retryAfterMs(resp.headers) }
+  }
+  const data = await resp.json()
+  const content = data?.choices?.[0]?.message?.content?.trim() || ''
+  return { ok: true, status: resp.status, content, usage: data?.usage || {}, errorText: '' }
+}
+
+function openAiProvider () {
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+    models: modelCandidates(OPENAI_DEFAULT_MODELS),
+    chat: ({ model, messages, temperature = 0, responseFormat }) => postChatCompletion({
+      url: 'https://api.openai.com/v1/chat/completions',
+      headers: { authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      body: withResponseFormat({ model, temperature, messages }, responseFormat)
+    })
+  }
+}
+
+function openAiCompatibleProvider () {
+  const base = trimSlash(process.env.LLM_BASE_URL)
+  if (!base) throw new Error('LLM_PROVIDER=openai-compatible requires LLM_BASE_URL')
+  const apiKey = process.env.LLM_API_KEY
+  return {
+    name: 'openai-compatible',
+    label: process.env.LLM_PROVIDER_LABEL || 'OpenAI-compatible',
+    models: modelCandidates([]),
+    chat: ({ model, messages, temperature = 0, responseFormat }) => postChatCompletion({
+      // Accept either "http://host:8000" or "http://host:8000/v1"
+      url: `${/\/v1$/.test(base) ? base : base + '/v1'}/chat/completions`,
+      headers: apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+      body: withResponseFormat({ model, temperature, messages }, responseFormat)
+    })
+  }
+}
+
+function azureProvider () {
+  const endpoint = trimSlash(process.env.AZURE_OPENAI_ENDPOINT)
+  if (!endpoint) throw new Error('LLM_PROVIDER=azure requires AZURE_OPENAI_ENDPOINT')
+  const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+  const deployments = splitList(process.env.LLM_MODELS || process.env.AZURE_OPENAI_DEPLOYMENT)
+  return {
+    name: 'azure',
+    label: 'Azure OpenAI',
+    models: deployments,
+    chat: ({ model, messages, temperature = 0, responseFormat }) => postChatCompletion({
+      url: `${endpoint}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      headers: { 'api-key': process.env.AZURE_OPENAI_API_KEY || '' },
+      body: withResponseFormat({ temperature, messages }, responseFormat)
+    })
+  }
+}
+
+// Deterministic replies derived from each pair's prompt text, so offline runs are reproducible
+// and a pair gets the same answer whether it is sent alone or inside a "### Pair n" batch.
+// The reply always follows the JSON contract of the prompt, as a real model does with LLM_RESPONSE_FORMAT=none.
+const MOCK_CODES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+function mockAnswer (model, pairText) {
+  const digest = createHash('sha256').update(`${model}\n${pairText.trim()}`).digest()
+  const code = MOCK_CODES[digest[0] % MOCK_CODES.length]
+  const tag = digest.toString('hex').slice(0, 8)
+  return { code, label: 'Mock classification', rationale: `Deterministic mock reply ${tag}`, intermediate: [3, 4, 5].includes(code) ? 'Mock intermediate concept' : null, confidence: (digest[1] % 100) / 100 }
+}
+
+function mockProvider () {
+  const models = splitList(process.env.LLM_MODELS)
+  return {
+    name: 'mock',
+    label: 'Mock',
+    models: models.length ? models : ['mock-1'],
+    chat: async ({ model, messages }) => {
+      const prompt = messages.map(m => m.content).join('\n')
+      const userText = messages.find(m => m.role === 'user')?.content || ''
+      const pairs = userText.split(/^### Pair \d+\n/m).slice(1)
+      let content = process.env.LLM_MOCK_REPLY
+      if (!content && pairs.length) {
+        content = JSON.stringify({ results: pairs.map((p, i) => ({ index: i + 1, ...mockAnswer(model, p) })) })
+      } else if (!content) {
+        content = JSON.stringify(mockAnswer(model, userText))
+      }
+      const prompt_tokens = Math.ceil(prompt.length / 4)
+      const completion_tokens = Math.ceil(content.length / 4)
+      return { ok: true, status: 200, content, usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens }, errorText: '' }
+    }
+  }
+}
+
+const FACTORIES = {
+  openai: openAiProvider,
+  'openai-compatible': openAiCompatibleProvider,
+  azure: azureProvider,
+  mock: mockProvider
+}
+
+export function createProvider (name = process.env.LLM_PROVIDER || 'openai') {
+  const key = String(name).trim().toLowerCase()
+  const factory = FACTORIES[key]
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(FACTORIES).join(', ')}`)
+  const provider = factory()
+  if (!provider.models.length) throw new Error(`LLM provider "${provider.name}" has no models configured (set LLM_MODELS)`)
+  return provider
+}
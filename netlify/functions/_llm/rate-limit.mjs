@@ -0,0 +1,44 @@
+// netlify/functions/_llm/rate-limit.mjs
+// Per-model request pacing so concurrent rows don't trip provider rate limits.
+//
+// LLM_RPM              default requests/minute for every model (0 or unset = unlimited)
+// LLM_RATE_LIMITS      JSON overrides per model, e.g. {"gpt-4o": 500, "gpt-4o-mini": 2000}
+//
+// Requests are spaced evenly (60s / rpm apart) rather than bursting, which keeps a small
+// per-invocation pool well under the provider's window even when several jobs run at once.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function parseLimits (raw) {
+  if (!raw) return {}
+  try {
+    const obj = JSON.parse(raw)
+    return obj && typeof obj === 'object' ? obj : {}
+  } catch (e) {
+    console.warn('[rate-limit] ignoring invalid LLM_RATE_LIMITS:', e?.message || e)
+    return {}
+  }
+}
+
+export function createRateLimiter ({ defaultRpm = Number(process.env.LLM_RPM || 0), perModel = parseLimits(process.env.LLM_RATE_LIMITS) } = {}) {
+  const nextSlot = new Map() // model → earliest start time (ms) of the next request
+
+  const rpmFor = (model) => {
+    const n = Number(perModel[model] ?? defaultRpm)
+    return Number.isFinite(n) && n > 0 ? n : 0
+  }
+
+  return {
+    rpmFor,
+    /** Resolves when a request to `model` may be sent. */
+    async acquire (model) {
+      const rpm = rpmFor(model)
+      if (!rpm) return
+      const interval = 60_000 / rpm
+      const now = Date.now()
+      const slot = Math.max(now, nextSlot.get(model) ?? now)
+      nextSlot.set(model, slot + interval)
+      if (slot > now) await sleep(slot - now)
+    }
+  }
+}
@@ -0,0 +1,88 @@
+// netlify/functions/_llm/retry.mjs
+// Retry/backoff and circuit breaking for provider calls.
+//
+// LLM_MAX_RETRIES        retries after the first attempt for transient failures (default 4)
+// LLM_RETRY_BASE_MS      first backoff step; doubles each retry, full jitter (default 1000)
+// LLM_RETRY_MAX_MS       cap for a single wait, including Retry-After (default 30000)
+// LLM_BREAKER_THRESHOLD  consecutive failed classifications before the breaker opens (default 5)
+// LLM_BREAKER_COOLDOWN_MS  how long an open breaker rejects calls before it lets trial calls through (default 60000)
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export class LlmUnavailableError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'LlmUnavailableError'
+  }
+}
+
+// 429 with an exhausted quota will not clear up by waiting a few seconds
+export const isTransient = (resp) =>
+  resp.status === 0 || resp.status === 408 || resp.status === 409 || resp.status === 425 ||
+  (resp.status === 429 && !/insufficient_quota/.test(resp.errorText || '')) ||
+  resp.status >= 500
+
+/**
+ * Call `attempt()` (returning a provider response) until it succeeds, fails permanently,
+ * or retries run out. Waits honor the response's retryAfterMs when present, otherwise
+ * exponential backoff with full jitter.
+ */
+export async function withRetry (attempt, {
+  maxRetries = Number(process.env.LLM_MAX_RETRIES ?? 4),
+  baseMs = Number(process.env.LLM_RETRY_BASE_MS || 1000),
+  maxMs = Number(process.env.LLM_RETRY_MAX_MS || 30_000),
+  label = 'LLM'
+} = {}) {
+  let resp
+  for (let i = 0; ; i++) {
+    resp = await attempt()
+    if (resp.ok || !isTransient(resp) || i >= maxRetries) return resp
+    const backoff = Math.random() * Math.min(maxMs, baseMs * 2 ** i)
+    const wait = Math.min(maxMs, resp.retryAfterMs != null ? resp.retryAfterMs : backoff)
+    console.warn(`[${label}] transient ${resp.status || 'network'} error, retry ${i + 1}/${maxRetries} in ${Math.round(wait)}ms`)
+    await sleep(wait)
+  }
+}
+
+/**
+ * Opens after `threshold` consecutive failures; any success closes it again.
+ * Once open, check() throws LlmUnavailableError so the worker can pause the job
+ * instead of stamping every remaining row with an error. After `coolDownMs` the breaker
+ * is half-open: calls go through again, the first success closes it and the first failure
+ * opens it for another cool-down. Classifiers (and their breaker) outlive a worker run in a
+ * warm container, so without this a breaker that opened once would never close.
+ */
+export function createCircuitBreaker ({
+  threshold = Number(process.env.LLM_BREAKER_THRESHOLD || 5),
+  coolDownMs = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 60_000),
+  now = () => Date.now()
+} = {}) {
+  let failures = 0
+  let lastError = ''
+  let openedAt = null
+  const halfOpen = () => {
+    if (openedAt != null && now() - openedAt >= coolDownMs) {
+      openedAt = null
+      failures = threshold - 1
+    }
+  }
+  return {
+    get open () {
+      halfOpen()
+      return failures >= threshold
+    },
+    success () {
+      failures = 0
+      openedAt = null
+    },
+    failure (errorText) {
+      failures += 1
+      lastError = String(errorText || '').slice(0, 200)
+      if (failures >= threshold && openedAt == null) openedAt = now()
+    },
+    check () {
+      halfOpen()
+      if (failures >= threshold) throw new LlmUnavailableError(`LLM provider unavailable after ${failures} consecutive failures${lastError ? `: ${lastError}` : ''}`)
+    }
+  }
+}
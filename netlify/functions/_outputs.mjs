@@ -0,0 +1,98 @@
+// netlify/functions/_outputs.mjs
+// Job output stored as append-only CSV parts in the outputs store.
+//
+// Job.outputBlobKey is a prefix ("outputs/<jobId>/") under which part-000000.csv holds the header line and
+// each flush of the worker writes the next numbered part with the rows committed since the previous one.
+// Job.outputParts counts the data parts, so a resumed run knows where to continue and a download knows
+// where to stop (parts past it were written by a run that died before recording them). Writes therefore
+// stay the size of one flush however large the job gets. Older jobs have a single CSV blob as their key.
+
+import { parse as parseCsvStream } from 'csv-parse'
+import { parse as parseCsv } from 'csv-parse/sync'
+import { Readable } from 'node:stream'
+
+export const outputPrefix = (jobId) => `outputs/${jobId}/`
+export const isPartPrefix = (key) => typeof key === 'string' && key.endsWith('/')
+export const partKey = (prefix, n) => `${prefix}part-${String(n).padStart(6, '0')}.csv`
+
+// Header columns of a part-based output, or null before the first row has been written
+export async function readOutputHeader (store, prefix) {
+  const text = await store.get(partKey(prefix, 0), { type: 'text' })
+  if (!text) return null
+  const nl = text.indexOf('\n')
+  return (nl >= 0 ? text.slice(0, nl) : text).split(',')
+}
+
+export async function writeOutputHeader (store, prefix, headers) {
+  await store.set(partKey(prefix, 0), headers.join(',') + '\n', { contentType: 'text/csv' })
+}
+
+// Write data part `n` (1-based); rewriting the same part after a crash replaces it
+export async function writeOutputPart (store, prefix, n, text) {
+  await store.set(partKey(prefix, n), text, { contentType: 'text/csv' })
+}
+
+/**
+ * The job's output CSV as one ReadableStream: the header part, then data parts 1..outputParts in order,
+ * each fetched only when the reader gets to it. A legacy single-blob output is streamed as is.
+ * Returns null when there is nothing stored yet.
+ */
+export async function outputStream (store, { outputBlobKey, outputParts }) {
+  if (!outputBlobKey) return null
+  if (!isPartPrefix(outputBlobKey)) return store.get(outputBlobKey, { type: 'stream' })
+
+  const header = await store.get(partKey(outputBlobKey, 0), { type: 'arrayBuffer' })
+  if (!header) return null
+  const parts = Number(outputParts) || 0
+  let n = 0
+  return new ReadableStream({
+    async pull (controller) {
+      if (n === 0) {
+        controller.enqueue(new Uint8Array(header))
+      } else if (n <= parts) {
+        const buf = await store.get(partKey(outputBlobKey, n), { type: 'arrayBuffer' })
+        if (!buf) throw new Error(`Output part ${n} of ${parts} is missing`)
+        controller.enqueue(new Uint8Array(buf))
+      } else {
+        controller.close()
+      }
+      n++
+    }
+  })
+}
+
+/**
+ * Rows of the job's output as objects keyed by column, in output order. `onColumns` receives the header
+ * (also when there are no rows). Returns without yielding when there is no output yet.
+ */
+export async function * outputRows (store, job, { onColumns } = {}) {
+  const stream = await outputStream(store, job)
+  if (!stream) return
+  const source = Readable.fromWeb(stream)
+  const parser = source.pipe(parseCsvStream({ columns: (header) => { onColumns?.(header); return header } }))
+  source.on('error', (err) => parser.destroy(err))
+  try {
+    for await (const row of parser) yield row
+  } finally {
+    source.destroy()
+    parser.destroy()
+  }
+}
+
+/**
+ * The last `count` rows of a part-based output, as objects keyed by column (from the newest data part and,
+ * if it is short, the one before). Legacy single-blob outputs and outputs without rows give [].
+ */
+export async function recentOutputRows (store, { outputBlobKey, outputParts }, count = 10) {
+  const parts = Number(outputParts) || 0
+  if (!isPartPrefix(outputBlobKey) || parts < 1) return []
+  const header = await readOutputHeader(store, outputBlobKey)
+  if (!header) return []
+  let rows = []
+  for (let n = parts; n >= 1 && rows.length < count; n--) {
+    const text = await store.get(partKey(outputBlobKey, n), { type: 'text' })
+    if (!text) break
+    rows = [...parseCsv(text, { columns: header, relax_column_count: true }), ...rows]
+  }
+  return rows.slice(-count)
+}
@@ -0,0 +1,77 @@
+// netlify/functions/_pool.mjs
+// Small concurrency helpers for the background worker.
+
+/**
+ * Run `worker(item)` for items pulled from `next()` with up to `concurrency` calls in flight.
+ * Results are handed to `onResult(result, item)` strictly in input order, so callers can append
+ * output and advance checkpoints exactly as a sequential loop would.
+ *
+ * - `next()` (may be async) returns the next item, or null when the input is exhausted.
+ * - `shouldStop()` is checked before each new item is started; in-flight items still complete.
+ * - If a worker throws, the remaining in-flight items are allowed to settle, results before the
+ *   failed item are delivered, and the error is rethrown.
+ */
+export async function runOrderedPool ({ next, worker, onResult, concurrency = 1, shouldStop = () => false }) {
+  const limit = Math.max(1, Math.floor(Number(concurrency) || 1))
+  const inflight = new Map() // seq → promise resolving to seq
+  const settled = new Map() // seq → { item, result } | { item, error }
+  let launched = 0
+  let delivered = 0
+  let exhausted = false
+  let failure = null
+
+  const launch = (item) => {
+    const seq = launched++
+    const p = Promise.resolve()
+      .then(() => worker(item))
+      .then((result) => settled.set(seq, { item, result }), (error) => settled.set(seq, { item, error }))
+      .then(() => { inflight.delete(seq); return seq })
+    inflight.set(seq, p)
+  }
+
+  for (;;) {
+    while (!failure && !exhausted && inflight.size < limit && !shouldStop()) {
+      const item = await next()
+      if (item == null) { exhausted = true; break }
+      launch(item)
+    }
+    if (inflight.size === 0) break
+    await Promise.race(inflight.values())
+
+    while (settled.has(delivered)) {
+      const entry = settled.get(delivered)
+      if (entry.error) {
+        failure ??= entry.error
+        break
+      }
+      settled.delete(delivered)
+      await onResult(entry.result, entry.item)
+      delivered++
+    }
+  }
+
+  if (failure) throw failure
+  return { delivered }
+}
+
+/**
+ * Keyed mutex: `run(key, fn)` runs fn only after every earlier fn for the same key has finished.
+ * Used to keep concurrent rows for the same pair from racing on create-vs-update.
+ */
+export function createKeyedMutex () {
+  const tails = new Map()
+  return async function run (key, fn) {
+    const prev = tails.get(key) || Promise.resolve()
+    let release
+    const gate = new Promise((resolve) => { release = resolve })
+    const tail = prev.then(() => gate)
+    tails.set(key, tail)
+    await prev
+    try {
+      return await fn()
+    } finally {
+      release()
+      if (tails.get(key) === tail) tails.delete(key)
+    }
+  }
+}
@@ -0,0 +1,197 @@
+// netlify/functions/_uploads.mjs
+// Reading uploaded pair files and deriving the keys the worker uses for each row.
+// Shared by the background worker and the pre-flight estimate so both see the same rows, pairIds
+// and LLM cache keys.
+
+import { parse as parseCsvStream } from 'csv-parse'
+import * as XLSX from 'xlsx'
+import { createHash } from 'node:crypto'
+import { Readable } from 'node:stream'
+import { BUILTIN_PROMPT } from './_llm/prompts.mjs'
+import { RELATIONSHIP_TYPES } from './_llm/classification.mjs'
+import { consensusDescriptor } from './_llm/consensus.mjs'
+
+// Pairs with lift at or below this are stored without calling the LLM
+export const LIFT_MIN_FOR_LLM = Number(process.env.LIFT_MIN_FOR_LLM ?? 1.0)
+
+export const passesLiftThreshold = (row) => {
+  const lift = Number(row.lift)
+  return Number.isFinite(lift) && lift > LIFT_MIN_FOR_LLM
+}
+
+export const makePairId = ({ system_a, code_a, system_b, code_b }) => [system_a, code_a, system_b, code_b].map(x => String(x ?? '').trim().toUpperCase()).join('|')
+
+export function toIntStrict(v) {
+  const s = String(v).trim();
+  if (!/^-?\d+$/.test(s)) return null;        // reject "123abc", "1.2", "", "I10"
+  const n = Number(s);
+  return Number.isSafeInteger(n) ? n : null;  // guard against > 2^53-1
+}
+
+/**
+ * Codes, effective systems, concept texts and pairId for an uploaded row (after the column mapping,
+ * ./_columns.mjs). `metaA`/`metaB` are the OMOP concepts the codes resolved to (or null); a resolved
+ * concept's system is always "OMOP".
+ */
+export function pairIdentity (row, metaA, metaB) {
+  const code_a = String(row.concept_a ?? '').trim()
+  const code_b = String(row.concept_b ?? '').trim()
+  const system_a = metaA ? 'OMOP' : String(row.system_a ?? '').trim()
+  const system_b = metaB ? 'OMOP' : String(row.system_b ?? '').trim()
+  return {
+    code_a,
+    code_b,
+    system_a,
+    system_b,
+    concept_a_t: (metaA?.concept_name || '').trim(),
+    concept_b_t: (metaB?.concept_name || '').trim(),
+    pairId: makePairId({ system_a, code_a, system_b, code_b })
+  }
+}
+
+export function stablePromptKey(row) {
+  // Include only the inputs that define the prompt (never the answer), so the key can be
+  // computed before calling the model and used for read-through lookups.
+  // Per-upload statistics are deliberately left out: overlapping sites share one classification.
+  const payload = {
+    model: row.model ?? '',
+    pairId: row.pairId ?? '',
+    system_a: row.system_a ?? '',
+    code_a: row.code_a ?? '',
+    system_b: row.system_b ?? '',
+    code_b: row.code_b ?? '',
+    concept_a_t: row.concept_a_t ?? '',
+    concept_b_t: row.concept_b_t ?? '',
+    prompt_version: row.prompt_version ?? BUILTIN_PROMPT.version,
+    prompt_variant: row.prompt_variant ?? ''
+  }
+  return createHash('sha256').update(JSON.stringify(payload)).digest('hex')
+}
+
+// Parsed LlmCache.result if it may be replayed: a real answer, not an error or an unparseable reply
+export function reusableCacheResult (resultText) {
+  let r
+  try { r = JSON.parse(resultText) } catch { return null }
+  if (r?.llm_status !== 'ok' || !r.rational) return null
+  return RELATIONSHIP_TYPES[Number(r.relationship_code)] ? r : null
+}
+
+// Models whose cached answers may be reused, in preference order
+export const llmCacheModels = (provider, consensus) => (consensus.enabled ? [consensusDescriptor(consensus)] : provider.models)
+
+export function getExtFromName (name = '') { const i = name.lastIndexOf('.'); return i >= 0 ? name.slice(i).toLowerCase() : '.csv' }
+
+export const isExcelName = (name) => ['.xlsx', '.xls'].includes(getExtFromName(name))
+
+// Where an uploaded row came from: { sheet, line } with the spreadsheet row number (1-based), and for CSV
+// `next`, the line the following row can start on (uploadRows' fromLine, to resume after this row). Set on
+// every row uploadRows yields; symbol keys are invisible to Object.keys and JSON.
+export const ROW_SOURCE = Symbol('rowSource')
+
+// Column added to rows when several sheets are read into one job
+export const SHEET_COLUMN = 'source_sheet'
+
+const HEADER_SCAN_ROWS = 20
+
+async function readWorkbook (store, blobKey) {
+  const buffer = await store.get(blobKey, { type: 'arrayBuffer' })
+  if (!buffer) throw new Error('Uploaded blob not found')
+  return XLSX.read(buffer, { type: 'buffer' })
+}
+
+// First row (1-based) among the top of the sheet that fills most of the columns — title and note rows
+// above a table usually fill one cell
+function detectHeaderRow (ws) {
+  if (!ws?.['!ref']) return 1
+  const range = XLSX.utils.decode_range(ws['!ref'])
+  const top = { s: range.s, e: { r: Math.min(range.e.r, range.s.r + HEADER_SCAN_ROWS - 1), c: range.e.c } }
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, range: top, defval: '', blankrows: true })
+  const filled = rows.map(r => r.filter(v => String(v ?? '').trim() !== '').length)
+  const widest = Math.max(0, ...filled)
+  const i = filled.findIndex(n => n >= Math.max(2, Math.ceil(widest * 0.6)))
+  return range.s.r + Math.max(0, i) + 1
+}
+
+/**
+ * Sheets of an uploaded workbook: [{ name, rows, headerRow }] with an approximate row count and the
+ * detected header row. Null for CSV files.
+ */
+export async function listSheets (store, blobKey, originalName) {
+  if (!isExcelName(originalName)) return null
+  const wb = await readWorkbook(store, blobKey)
+  return wb.SheetNames.map((name) => {
+    const ws = wb.Sheets[name]
+    const range = ws?.['!ref'] ? XLSX.utils.decode_range(ws['!ref']) : null
+    return { name, rows: range ? range.e.r - range.s.r + 1 : 0, headerRow: detectHeaderRow(ws) }
+  })
+}
+
+const countLineBreaks = (text) => (text.match(/\r\n|\n|\r/g) || []).length
+
+// Records of the CSV upload parsed with csv-parse `options`; stopping early closes the stream
+async function * csvRecords (store, blobKey, options) {
+  const stream = await store.get(blobKey, { type: 'stream' })
+  if (!stream) throw new Error('Uploaded blob not found')
+  const input = Readable.fromWeb(stream)
+  const parser = input.pipe(parseCsvStream({ skip_empty_lines: true, trim: true, ...options }))
+  input.on('error', (err) => parser.destroy(err))
+  try {
+    yield * parser
+  } finally {
+    input.destroy()
+    parser.destroy()
+  }
+}
+
+// Column names on the CSV header line
+async function csvHeader (store, blobKey, headerRow) {
+  for await (const record of csvRecords(store, blobKey, { from_line: headerRow, to_line: headerRow })) return record
+  return []
+}
+
+/**
+ * Rows of an uploaded file, in file order, as an async iterator. CSV is parsed while it streams in from
+ * the store, so memory stays flat however large the file is. Excel workbooks are not streamed: they are
+ * read into memory whole, on every call.
+ * `source` picks what is read (stored on Job.sourceOptions):
+ *   { headerRow }                     CSV: the header is on that line (default 1); lines above are skipped
+ *   { sheets: [{ name, headerRow }] } Excel: these sheets in order (default: the first sheet, header on
+ *                                     row 1); with more than one, each row gets a source_sheet column
+ * `fromLine` (CSV only) starts at a row's ROW_SOURCE `next` of an earlier read instead of the first data
+ * row: the header line is read on its own and csv-parse skips the lines before without building rows.
+ * Stopping early (break / return()) closes the underlying stream.
+ */
+export async function * uploadRows (store, blobKey, originalName, source = {}, { fromLine = null } = {}) {
+  const ext = getExtFromName(originalName)
+  if (ext === '.csv') {
+    const headerRow = Math.max(1, Number(source?.headerRow) || 1)
+    const resume = fromLine != null && fromLine > headerRow
+    const columns = resume ? await csvHeader(store, blobKey, headerRow) : true
+    // Row lines (for reports) are counted from each row's raw text, which includes the empty lines skipped
+    // before it; `next` uses csv-parse's own line count, the one from_line goes by
+    let lineAt = resume ? fromLine : headerRow + 1
+    for await (const { record, raw, info } of csvRecords(store, blobKey, { columns, from_line: resume ? fromLine : headerRow, raw: true, info: true })) {
+      const line = lineAt + countLineBreaks(/^\s*/.exec(raw)[0])
+      lineAt += countLineBreaks(raw)
+      record[ROW_SOURCE] = { sheet: null, line, next: info.lines + 1 }
+      yield record
+    }
+    return
+  }
+  if (isExcelName(originalName)) {
+    const wb = await readWorkbook(store, blobKey)
+    const sheets = source?.sheets?.length ? source.sheets : [{ name: wb.SheetNames[0], headerRow: 1 }]
+    for (const { name, headerRow } of sheets) {
+      const ws = wb.Sheets[name]
+      if (!ws) throw new Error(`Sheet "${name}" not found in the workbook`)
+      const rows = XLSX.utils.sheet_to_json(ws, { defval: '', range: Math.max(1, Number(headerRow) || 1) - 1 })
+      for (const row of rows) {
+        const out = sheets.length > 1 ? { ...row, [SHEET_COLUMN]: name } : row
+        out[ROW_SOURCE] = { sheet: name, line: row.__rowNum__ + 1 }
+        yield out
+      }
+    }
+    return
+  }
+  throw new Error(`Unsupported file type: ${ext}`)
+}
@@ -0,0 +1,185 @@
+// netlify/functions/_validate.mjs
+// Upload validation: required columns and row-level checks, run before a job is created.
+//
+// A file without the required columns (the concept ids and cooc_event_count) or without data rows is
+// rejected outright. The other counts are optional, as the worker counts a missing one as 0; a missing
+// column or blank cells are reported as warnings. Rows that fail a
+// check are listed in a per-row report; the upload is then either rejected or created with those rows
+// quarantined — the worker skips them (Job.rowsRejected > 0) and they stay listed in the report.
+// Row numbers in the report are spreadsheet rows (the header is row 1 unless the upload says otherwise),
+// with the sheet name for workbooks.
+// Rows are checked after the upload's column mapping (./_columns.mjs) has renamed them to field names;
+// the report names the file's own columns.
+
+import { makePairId, toIntStrict } from './_uploads.mjs'
+import { REQUIRED_FIELDS } from './_columns.mjs'
+
+// Matched case-insensitively
+export const REQUIRED_COLUMNS = REQUIRED_FIELDS
+const COUNT_COLUMNS = ['cooc_obs', 'cooc_event_count', 'a_before_b', 'same_day', 'b_before_a', 'nA', 'nB', 'total_persons']
+const OPTIONAL_COUNT_COLUMNS = COUNT_COLUMNS.filter(c => !REQUIRED_COLUMNS.includes(c))
+// Checked only when the column is present and the cell is not empty
+const NUMERIC_COLUMNS = ['lift', 'lift_lower_95', 'lift_upper_95', 'events_ab_ae', 'expected_obs', 'z_score', 'odds_ratio', 'or_lower_95', 'or_upper_95']
+const INTERVALS = [['lift_lower_95', 'lift_upper_95'], ['or_lower_95', 'or_upper_95']]
+
+// Errors kept in the report; the counts always cover every row
+export const MAX_REPORT_ERRORS = 10000
+
+// Outputs-store key of a job's quarantined rows: a JSON array of their indexes in the job's row order. The
+// worker skips these without validating the file again.
+export const quarantinedRowsKey = (jobId) => `validation/${jobId}.rows.json`
+
+const isBlank = (v) => v == null || String(v).trim() === ''
+
+/**
+ * Streaming validator: feed rows in file order to check(row, index, where), which returns that row's
+ * problems (empty when valid); `where` is the row's { sheet, line } (ROW_SOURCE in ./_uploads.mjs,
+ * default: line index + 2). finish() returns the report
+ *   { ok, missingColumns, warnings, rowsTotal, rowsInvalid, invalidRows: Set<index>, errors: [{ sheet, row, column, value, message }], truncated }
+ * The first row's headers decide the columns. `ok` is false when the file cannot be processed at all
+ * (missing columns or no rows) — check result.ok after the first row and stop; row errors alone leave
+ * it true and are reported through `invalidRows`. `mapping` ({ field: header }) names the file's columns
+ * in the report.
+ */
+export function createRowValidator ({ mapping = {} } = {}) {
+  const result = { ok: true, missingColumns: [], warnings: [], rowsTotal: 0, rowsInvalid: 0, invalidRows: new Set(), errors: [], truncated: false }
+  const firstRowOfPair = new Map()
+  // Rows with a blank optional count, per column
+  const blankCounts = {}
+  let cols = null
+
+  function readHeaders (row) {
+    const byLc = new Map(Object.keys(row).map(h => [h.toLowerCase(), h]))
+    const col = (name) => byLc.get(name.toLowerCase()) || null
+    result.missingColumns = REQUIRED_COLUMNS.filter(c => !col(c)).map(c => mapping[c] ?? c)
+    if (result.missingColumns.length) result.ok = false
+    for (const c of OPTIONAL_COUNT_COLUMNS) if (!col(c)) result.warnings.push(`No ${c} column: counted as 0 for every pair`)
+    if (!col('lift')) result.warnings.push('No lift column: every pair will be stored as "No clear relationship" without an LLM call')
+    cols = Object.fromEntries([...REQUIRED_COLUMNS, ...COUNT_COLUMNS, ...NUMERIC_COLUMNS, 'system_a', 'system_b'].map(c => [c, col(c)]))
+  }
+
+  function check (row, i, where = null) {
+    if (!cols) readHeaders(row)
+    result.rowsTotal++
+    if (!result.ok) return []
+
+    const rowNo = where?.line ?? i + 2
+    const sheet = where?.sheet ?? null
+    const problems = []
+    const fail = (column, message) => problems.push({ sheet, row: rowNo, column: mapping[column] ?? cols[column] ?? column, value: cols[column] ? String(row[cols[column]] ?? '') : '', message })
+    const value = (c) => row[cols[c]]
+
+    // Codes from another vocabulary (system_a/system_b set to something other than OMOP) may be non-numeric
+    for (const [c, system] of [['concept_a', 'system_a'], ['concept_b', 'system_b']]) {
+      const sys = String(value(system) ?? '').trim().toUpperCase()
+      if ((!sys || sys === 'OMOP') && toIntStrict(String(value(c) ?? '')) == null) fail(c, 'Concept id must be an integer')
+    }
+
+    const counts = {}
+    for (const c of COUNT_COLUMNS) {
+      if (!cols[c]) continue
+      const v = value(c)
+      if (isBlank(v) && REQUIRED_COLUMNS.includes(c)) { fail(c, 'Missing count'); continue }
+      if (isBlank(v)) { blankCounts[c] = (blankCounts[c] || 0) + 1; continue }
+      const n = Number(v)
+      if (!Number.isFinite(n)) fail(c, 'Not a number')
+      else if (!Number.isInteger(n)) fail(c, 'Count must be a whole number')
+      else if (n < 0) fail(c, 'Count cannot be negative')
+      else counts[c] = n
+    }
+    if (counts.cooc_obs != null && counts.nA != null && counts.cooc_obs > counts.nA) fail('cooc_obs', `Co-occurrences exceed nA (${counts.nA})`)
+    if (counts.cooc_obs != null && counts.nB != null && counts.cooc_obs > counts.nB) fail('cooc_obs', `Co-occurrences exceed nB (${counts.nB})`)
+    for (const c of ['nA', 'nB']) {
+      if (counts[c] != null && counts.total_persons != null && counts[c] > counts.total_persons) fail(c, `Exceeds total_persons (${counts.total_persons})`)
+    }
+
+    const nums = {}
+    for (const c of NUMERIC_COLUMNS) {
+      if (!cols[c] || isBlank(value(c))) continue
+      const n = Number(value(c))
+      if (Number.isFinite(n)) nums[c] = n
+      else fail(c, 'Not a number')
+    }
+    for (const [lo, hi] of INTERVALS) {
+      if (nums[lo] != null && nums[hi] != null && nums[lo] > nums[hi]) fail(lo, `Lower bound is greater than ${mapping[hi] ?? cols[hi]} (${nums[hi]})`)
+    }
+
+    // A pair listed twice would have its counts added twice
+    const pairKey = makePairId({ system_a: value('system_a'), code_a: value('concept_a'), system_b: value('system_b'), code_b: value('concept_b') })
+    if (firstRowOfPair.has(pairKey)) fail('concept_a', `Duplicate pair; first listed on ${firstRowOfPair.get(pairKey)}`)
+    else firstRowOfPair.set(pairKey, sheet ? `sheet "${sheet}" row ${rowNo}` : `row ${rowNo}`)
+
+    if (problems.length) {
+      result.invalidRows.add(i)
+      for (const p of problems) {
+        if (result.errors.length < MAX_REPORT_ERRORS) result.errors.push(p)
+        else result.truncated = true
+      }
+    }
+    return problems
+  }
+
+  function finish () {
+    if (!result.rowsTotal) {
+      result.ok = false
+      result.warnings.push('The file has no data rows')
+    }
+    for (const [c, n] of Object.entries(blankCounts)) result.warnings.push(`${n} row(s) with no ${mapping[c] ?? cols[c]} value: counted as 0`)
+    result.rowsInvalid = result.invalidRows.size
+    return result
+  }
+
+  return { result, check, finish }
+}
+
+// Validate an array of parsed rows at once (see createRowValidator for the result)
+export function validateRows (rows, options) {
+  const validator = createRowValidator(options)
+  rows.forEach((row, i) => validator.check(row, i))
+  return validator.finish()
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? '')
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * One report for several validations of the same upload (one per sheet group, see upload.mjs): counts
+ * add up, errors are listed in order. Row indexes are not carried over.
+ */
+export function mergeValidationResults (results) {
+  if (results.length === 1) return results[0]
+  const errors = results.flatMap(r => r.errors)
+  return {
+    ok: results.every(r => r.ok),
+    missingColumns: Array.from(new Set(results.flatMap(r => r.missingColumns))),
+    warnings: Array.from(new Set(results.flatMap(r => r.warnings))),
+    rowsTotal: results.reduce((n, r) => n + r.rowsTotal, 0),
+    rowsInvalid: results.reduce((n, r) => n + r.rowsInvalid, 0),
+    invalidRows: new Set(),
+    errors: errors.slice(0, MAX_REPORT_ERRORS),
+    truncated: results.some(r => r.truncated) || errors.length > MAX_REPORT_ERRORS
+  }
+}
+
+// Per-row error report as CSV (row, column, value, error), with a leading sheet column for workbooks
+export function validationReportCsv (result) {
+  const sheets = result.errors.some(e => e.sheet)
+  const line = (sheet, ...cells) => (sheets ? [sheet ?? '', ...cells] : cells).map(csvCell).join(',')
+  const lines = [line('sheet', 'row', 'column', 'value', 'error')]
+  for (const c of result.missingColumns) lines.push(line('', '', c, '', 'Required column missing'))
+  for (const e of result.errors) lines.push(line(e.sheet, e.row, e.column, e.value, e.message))
+  if (result.truncated) lines.push(line('', '', '', '', `Report truncated after ${MAX_REPORT_ERRORS} errors`))
+  return lines.join('\n') + '\n'
+}
+
+// JSON-safe summary for API responses (the full list is in the CSV report)
+export const validationSummary = (result, { sample = 20 } = {}) => ({
+  ok: result.ok,
+  missingColumns: result.missingColumns,
+  warnings: result.warnings,
+  rowsTotal: result.rowsTotal,
+  rowsInvalid: result.rowsInvalid,
+  errors: result.errors.slice(0, sample)
+})
@@ -3,10 +3,13 @@
 // Supports:
 //   GET    /api/admin-jobs                       -> list jobs
 //   GET    /api/admin-jobs?op=count&...          -> count jobs matching filters
+//   PATCH  /api/admin-jobs { job, priority }      -> set a job's queue priority (higher runs first)
 //   DELETE /api/admin-jobs { date, status, user }-> delete matching jobs
+// Deleting a job leaves what it added to MasterRecord; retract it first (admin-retract.mjs).
 
 import { PrismaClient } from '@prisma/client'
 import { requireAdmin } from './_admin-gate.mjs'
+import { recordJobEvent } from './_jobs.mjs'
 
 // Prisma (singleton across invocations)
 const prisma = globalThis.__prisma || new PrismaClient()
@@ -81,12 +84,23 @@ export default async (req) => {
           id: true,
           uploadId: true,
           status: true,
+          kind: true,
           rowsTotal: true,
           rowsProcessed: true,
           userId: true,
           outputBlobKey: true,
+          tokensIn: true,
+          tokensOut: true,
+          costCents: true,
+          rowsRejected: true,
+          validationBlobKey: true,
+          error: true,
           createdAt: true,
           finishedAt: true,
+          retractedAt: true,
+          attempts: true,
+          errorHistory: true,
+          priority: true,
         },
       })
       // hydrate user email + filename if helpful
@@ -100,15 +114,39 @@ export default async (req) => {
       const shaped = rows.map((r) => ({
         id: r.id,
         status: r.status,
+        kind: r.kind,
         rowCount: r.rowsTotal,
         userEmail: userMap.get(r.userId) || null,
         fileName: uploadMap.get(r.uploadId) || r.uploadId,
+        error: r.error,
+        tokensIn: r.tokensIn ?? 0,
+        tokensOut: r.tokensOut ?? 0,
+        costCents: r.costCents ?? 0,
+        rowsRejected: r.rowsRejected ?? 0,
+        validationUrl: r.validationBlobKey ? `/api/download?job=${encodeURIComponent(r.id)}&report=validation` : null,
         createdAt: r.createdAt,
+        retractedAt: r.retractedAt,
+        attempts: r.attempts,
+        priority: r.priority,
+        errorHistory: Array.isArray(r.errorHistory) ? r.errorHistory : [],
         outputUrl: r.outputBlobKey ? `/api/download?job=${encodeURIComponent(r.id)}` : null,
       }))
       return json(shaped)
     }
 
+    if (method === 'PATCH') {
+      const body = await req.json().catch(() => ({}))
+      const jobId = String(body?.job || '').trim()
+      const priority = Number(body?.priority)
+      if (!jobId) return json({ error: 'job is required' }, 400)
+      if (!Number.isInteger(priority)) return json({ error: 'priority must be an integer' }, 400)
+      const res = await prisma.job.updateMany({ where: { id: jobId }, data: { priority } })
+      if (!res.count) return json({ error: 'Job not found' }, 404)
+      await recordJobEvent(prisma, jobId, 'priority', { priority, by: me?.email ?? null })
+      console.info(`[admin-jobs] ${me?.email || 'admin'} set priority of job ${jobId} to ${priority}`)
+      return json({ id: jobId, priority })
+    }
+
     if (method === 'DELETE') {
       const body = await req.json().catch(() => ({}))
       const { date = '', status = '', user: who = '' } = body || {}
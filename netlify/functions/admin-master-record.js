@@ -34,13 +34,14 @@ export default async (req) => {
       return json({ rows, lastUpdated: last })
     }
 
-    if (op === 'search') {
+    // search: free text over concepts/codes; review: records flagged needs_review (consensus disagreement)
+    if (op === 'search' || op === 'review') {
       const q = (url.searchParams.get('q') || '').trim()
       const take = Math.min(Number(url.searchParams.get('limit') || 50), 200)
-      if (!q) return json({ error: 'Missing q' }, 400)
+      if (op === 'search' && !q) return json({ error: 'Missing q' }, 400)
 
       const rows = await prisma.masterRecord.findMany({
-        where: {
+        where: op === 'review' ? { status: 'needs_review' } : {
           OR: [
             { concept_a: { contains: q, mode: 'insensitive' } },
             { concept_b: { contains: q, mode: 'insensitive' } },
@@ -67,6 +68,9 @@ export default async (req) => {
           llm_name: true,
           llm_version: true,
           llm_date: true,
+          prompt_version: true,
+          llm_agreement: true,
+          llm_votes: true,
           human_reviewer: true,
           human_comment: true,
           human_date: true,
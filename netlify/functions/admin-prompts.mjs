@@ -0,0 +1,86 @@
+// netlify/functions/admin-prompts.mjs — manage classification prompt templates
+// Supports:
+//   GET  /api/admin-prompts                                   -> templates, active version, built-in default
+//   POST /api/admin-prompts { version, system, user, notes, activate } -> create a new version
+//   POST /api/admin-prompts?op=activate { version }           -> make a version active (built-in version = use default)
+// Templates are immutable; edit wording by creating a new version.
+
+import { PrismaClient } from '@prisma/client'
+import { requireAdmin } from './_admin-gate.mjs'
+import { BUILTIN_PROMPT, PROMPT_PLACEHOLDERS, templateErrors } from './_llm/prompts.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+async function activate(version) {
+  const now = new Date()
+  await prisma.$transaction([
+    prisma.promptTemplate.updateMany({ where: { active: true }, data: { active: false } }),
+    ...(version === BUILTIN_PROMPT.version ? [] : [prisma.promptTemplate.update({ where: { version }, data: { active: true, activatedAt: now } })])
+  ])
+}
+
+export default async (req) => {
+  try {
+    const gate = await requireAdmin(req)
+    if (!gate.allowed) return gate.forbidden()
+    const me = gate.user
+
+    const url = new URL(req.url)
+    const method = req.method.toUpperCase()
+
+    if (method === 'GET') {
+      const templates = await prisma.promptTemplate.findMany({ orderBy: { createdAt: 'desc' }, take: 200 })
+      const active = templates.find((t) => t.active)
+      return json({
+        activeVersion: active?.version ?? BUILTIN_PROMPT.version,
+        builtin: { version: BUILTIN_PROMPT.version, system: BUILTIN_PROMPT.system, user: BUILTIN_PROMPT.user },
+        placeholders: PROMPT_PLACEHOLDERS,
+        templates
+      })
+    }
+
+    if (method === 'POST') {
+      const op = url.searchParams.get('op') || 'create'
+      const body = await req.json().catch(() => ({}))
+      const version = String(body?.version ?? '').trim()
+
+      if (op === 'activate') {
+        if (!version) return json({ error: 'Missing version' }, 400)
+        if (version !== BUILTIN_PROMPT.version) {
+          const exists = await prisma.promptTemplate.findUnique({ where: { version } })
+          if (!exists) return json({ error: `Unknown version "${version}"` }, 404)
+        }
+        await activate(version)
+        return json({ ok: true, activeVersion: version })
+      }
+
+      if (op === 'create') {
+        const draft = { version, system: String(body?.system ?? ''), user: String(body?.user ?? '') }
+        const errors = templateErrors(draft)
+        if (version === BUILTIN_PROMPT.version) errors.push(`"${version}" is the built-in prompt's version`)
+        if (errors.length) return json({ error: errors.join('; '), errors }, 400)
+        const exists = await prisma.promptTemplate.findUnique({ where: { version } })
+        if (exists) return json({ error: `Version "${version}" already exists` }, 409)
+
+        const created = await prisma.promptTemplate.create({
+          data: { ...draft, notes: body?.notes ? String(body.notes) : null, createdBy: me?.email ?? null }
+        })
+        if (body?.activate === true) await activate(version)
+        return json({ ok: true, template: created }, 201)
+      }
+
+      return json({ error: 'Unsupported op' }, 400)
+    }
+
+    return json({ error: 'Unsupported method' }, 405)
+  } catch (err) {
+    console.error('[admin-prompts] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
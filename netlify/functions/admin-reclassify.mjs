@@ -0,0 +1,150 @@
+// netlify/functions/admin-reclassify.mjs — start bulk reclassification of existing MasterRecord rows
+// Supports:
+//   GET  /api/admin-reclassify?op=count&<filter>  -> number of records a job would cover
+//   POST /api/admin-reclassify { filter, promptVersion } -> snapshot matching pairIds and queue a reclassify job
+// Filter fields (all optional): llmVersion, promptVersion ("none" = records without one), relationshipCode
+// (number or list), dateFrom/dateTo (llm_date, YYYY-MM-DD), liftMin/liftMax.
+// Records with a human review (human_date or human_reviewer set) are always excluded.
+
+import { getStore } from '@netlify/blobs'
+import { PrismaClient } from '@prisma/client'
+import { requireAdmin } from './_admin-gate.mjs'
+import { dispatchWorkers, recordJobEvent } from './_jobs.mjs'
+import { BUILTIN_PROMPT } from './_llm/prompts.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+const SNAPSHOT_PAGE = 5000
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+const numOrNull = (v) => (v === '' || v == null || !Number.isFinite(Number(v)) ? null : Number(v))
+
+function dayBound(dateStr, end) {
+  if (!dateStr) return null
+  const d = new Date(dateStr)
+  if (Number.isNaN(+d)) return null
+  if (end) d.setUTCHours(23, 59, 59, 999)
+  return d
+}
+
+function readFilter(source) {
+  const get = (k) => (typeof source.get === 'function' ? source.get(k) : source[k])
+  const codes = get('relationshipCode')
+  return {
+    llmVersion: String(get('llmVersion') ?? '').trim(),
+    promptVersion: String(get('promptVersion') ?? '').trim(),
+    relationshipCode: (Array.isArray(codes) ? codes : String(codes ?? '').split(','))
+      .map((c) => numOrNull(String(c).trim()))
+      .filter((c) => c != null),
+    dateFrom: String(get('dateFrom') ?? ''),
+    dateTo: String(get('dateTo') ?? ''),
+    liftMin: numOrNull(get('liftMin')),
+    liftMax: numOrNull(get('liftMax'))
+  }
+}
+
+function buildWhere(f) {
+  const where = { human_date: null, human_reviewer: null }
+  if (f.llmVersion) where.llm_version = f.llmVersion
+  if (f.promptVersion) where.prompt_version = f.promptVersion === 'none' ? null : f.promptVersion
+  if (f.relationshipCode.length) where.relationshipCode = { in: f.relationshipCode }
+  const from = dayBound(f.dateFrom, false)
+  const to = dayBound(f.dateTo, true)
+  if (from || to) where.llm_date = { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) }
+  if (f.liftMin != null || f.liftMax != null) {
+    where.lift = { ...(f.liftMin != null ? { gte: f.liftMin } : {}), ...(f.liftMax != null ? { lte: f.liftMax } : {}) }
+  }
+  return where
+}
+
+export default async (req) => {
+  try {
+    const gate = await requireAdmin(req)
+    if (!gate.allowed) return gate.forbidden()
+    const me = gate.user
+
+    const url = new URL(req.url)
+    const method = req.method.toUpperCase()
+
+    if (method === 'GET') {
+      const op = url.searchParams.get('op') || 'count'
+      if (op !== 'count') return json({ error: 'Unsupported op' }, 400)
+      const filter = readFilter(url.searchParams)
+      const count = await prisma.masterRecord.count({ where: buildWhere(filter) })
+      return json({ filter, count })
+    }
+
+    if (method === 'POST') {
+      const body = await req.json().catch(() => ({}))
+      const filter = readFilter(body?.filter || {})
+      const promptVersion = String(body?.promptVersion ?? '').trim() || null
+      if (promptVersion && promptVersion !== BUILTIN_PROMPT.version) {
+        const exists = await prisma.promptTemplate.findUnique({ where: { version: promptVersion } })
+        if (!exists) return json({ error: `Unknown prompt version "${promptVersion}"` }, 400)
+      }
+
+      // Snapshot the selection now so the job covers a fixed set even as records change
+      const where = buildWhere(filter)
+      const pairIds = []
+      let cursor = null
+      for (;;) {
+        const page = await prisma.masterRecord.findMany({
+          where,
+          select: { pairId: true },
+          orderBy: { pairId: 'asc' },
+          take: SNAPSHOT_PAGE,
+          ...(cursor ? { skip: 1, cursor: { pairId: cursor } } : {})
+        })
+        for (const r of page) pairIds.push(r.pairId)
+        if (page.length < SNAPSHOT_PAGE) break
+        cursor = page[page.length - 1].pairId
+      }
+      if (!pairIds.length) return json({ error: 'No MasterRecord rows match this filter' }, 400)
+
+      const csv = 'pairId\n' + pairIds.map((id) => (/[",\r\n]/.test(id) ? `"${id.replace(/"/g, '""')}"` : id)).join('\n') + '\n'
+      const storeName = process.env.UPLOADS_STORE || 'uploads'
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const blobKey = `${storeName}/reclassify-${stamp}.csv`
+      await getStore(storeName).set(blobKey, csv, { contentType: 'text/csv' })
+
+      const userId = me?.sub || null
+      if (userId) {
+        await prisma.user.upsert({
+          where: { id: userId },
+          update: { email: me?.email, name: me?.name },
+          create: { id: userId, email: me?.email, name: me?.name }
+        })
+      }
+      const upload = await prisma.upload.create({
+        data: { blobKey, originalName: `reclassify-${stamp}.csv`, contentType: 'text/csv', size: csv.length, store: storeName, userId }
+      })
+      const job = await prisma.job.create({
+        data: {
+          uploadId: upload.id,
+          userId,
+          kind: 'reclassify',
+          filter,
+          status: 'queued',
+          rowsTotal: pairIds.length,
+          rowsProcessed: 0,
+          forceRefresh: true,
+          ...(promptVersion ? { promptVersion } : {})
+        }
+      })
+
+      await recordJobEvent(prisma, job.id, 'queued', { rowsTotal: pairIds.length, by: me?.email ?? null })
+      await dispatchWorkers(prisma, { label: 'admin-reclassify' })
+      return json({ ok: true, jobId: job.id, rows: pairIds.length }, 201)
+    }
+
+    return json({ error: 'Unsupported method' }, 405)
+  } catch (err) {
+    console.error('[admin-reclassify] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
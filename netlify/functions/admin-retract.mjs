@@ -0,0 +1,217 @@
+// netlify/functions/admin-retract.mjs — take an upload job's contributions back out of MasterRecord
+// Supports:
+//   GET  /api/admin-retract?job=<id>  -> preview: pairs updated / deleted, counts subtracted, sample changes
+//   POST /api/admin-retract { job }   -> retract a batch of pairs; repeat while `remaining` > 0
+// Works from the contribution ledger (MasterRecordContribution): each pair loses exactly the counts the
+// job's rows added, its statistics are recomputed, and a pair left without a source (source_count 0) is
+// deleted. A pair's ledger entries go in the same transaction as its update, so an interrupted retraction
+// continues where it stopped. Jobs still queued, running or paused cannot be retracted; jobs processed
+// before the ledger existed have no entries to retract.
+
+import { PrismaClient } from '@prisma/client'
+import { requireAdmin } from './_admin-gate.mjs'
+import { computeStatisticalFields } from './_stats.mjs'
+import { recordJobEvent } from './_jobs.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+const LEDGER_PAGE = 5000
+const RECORD_CHUNK = 1000
+const PAIR_BATCH = 200
+// Wall time one POST spends retracting before it reports progress
+const BATCH_MS = 8000
+const SAMPLE = 20
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+const chunks = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size))
+
+function addCounts(into, counts) {
+  for (const [k, v] of Object.entries(counts || {})) into[k] = (into[k] || 0) + (Number(v) || 0)
+  return into
+}
+
+// Counts the job added, summed per pair: Map<pairId, { field: amount }> (all of the job's pairs when `pairIds` is omitted)
+async function contributionsByPair(jobId, pairIds = null) {
+  const where = { jobId, ...(pairIds ? { pairId: { in: pairIds } } : {}) }
+  const byPair = new Map()
+  let cursor = null
+  for (;;) {
+    const page = await prisma.masterRecordContribution.findMany({
+      where,
+      select: { id: true, pairId: true, counts: true },
+      orderBy: { id: 'asc' },
+      take: LEDGER_PAGE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+    })
+    for (const c of page) byPair.set(c.pairId, addCounts(byPair.get(c.pairId) ?? {}, c.counts))
+    if (page.length < LEDGER_PAGE) break
+    cursor = page[page.length - 1].id
+  }
+  return byPair
+}
+
+// Record values once `counts` are taken away (not clamped)
+const minus = (record, counts) => ({
+  ...record,
+  ...Object.fromEntries(Object.entries(counts).map(([k, n]) => [k, (Number(record[k]) || 0) - n])),
+})
+
+// Update for a record whose counts were just reduced: those counts clamped at 0, statistics recomputed
+function recomputed(record, fields) {
+  const data = {}
+  for (const k of fields) data[k] = Math.max(0, Number(record[k]) || 0)
+  return { ...data, ...computeStatisticalFields({ ...record, ...data }) }
+}
+
+async function loadJob(jobId) {
+  return prisma.job.findUnique({
+    where: { id: jobId },
+    select: { id: true, kind: true, status: true, retractedAt: true, upload: { select: { originalName: true } } },
+  })
+}
+
+async function preview(job) {
+  const byPair = await contributionsByPair(job.id)
+  const rows = await prisma.masterRecordContribution.count({ where: { jobId: job.id } })
+  const totals = {}
+  const sample = []
+  let deleted = 0
+  for (const chunk of chunks(Array.from(byPair.keys()), RECORD_CHUNK)) {
+    const records = await prisma.masterRecord.findMany({ where: { pairId: { in: chunk } } })
+    for (const record of records) {
+      const counts = byPair.get(record.pairId)
+      addCounts(totals, counts)
+      const after = minus(record, counts)
+      const remove = after.source_count <= 0
+      if (remove) deleted++
+      if (sample.length < SAMPLE) {
+        const fields = Object.keys(counts)
+        const next = remove ? null : recomputed(after, fields)
+        sample.push({
+          pairId: record.pairId,
+          concept_a: record.concept_a,
+          concept_b: record.concept_b,
+          remove,
+          before: { ...Object.fromEntries(fields.map((k) => [k, record[k]])), lift: record.lift == null ? null : Number(record.lift) },
+          after: next && { ...Object.fromEntries(fields.map((k) => [k, next[k]])), lift: next.lift },
+        })
+      }
+    }
+  }
+  return {
+    jobId: job.id,
+    fileName: job.upload?.originalName ?? null,
+    status: job.status,
+    retractedAt: job.retractedAt,
+    rows,
+    pairs: byPair.size,
+    updated: byPair.size - deleted,
+    deleted,
+    totals,
+    sample,
+  }
+}
+
+// Retract one pair: subtract, then delete the record or store the recomputed values. Returns 'deleted',
+// 'updated' or null when the record is gone.
+async function retractPair(jobId, pairId, counts) {
+  return prisma.$transaction(async (tx) => {
+    // The decrement locks the row until the transaction ends. Workers add to an existing pair under the same
+    // row lock (SELECT … FOR UPDATE, see handleExistingRecord in process-upload-background.mjs), so they wait
+    // and add to the recomputed values; a worker that finds the pair deleted creates it anew.
+    const record = await tx.masterRecord.update({
+      where: { pairId },
+      data: Object.fromEntries(Object.entries(counts).map(([k, n]) => [k, { decrement: n }])),
+    }).catch((e) => {
+      if (e?.code === 'P2025') return null
+      throw e
+    })
+    if (!record) return null
+    if (record.source_count <= 0) {
+      // Cascades to the pair's ledger entries and history
+      await tx.masterRecord.delete({ where: { pairId } })
+      return 'deleted'
+    }
+    await tx.masterRecord.update({ where: { pairId }, data: { ...recomputed(record, Object.keys(counts)), updatedAt: new Date() } })
+    await tx.masterRecordContribution.deleteMany({ where: { jobId, pairId } })
+    return 'updated'
+  })
+}
+
+async function retractBatch(jobId) {
+  const deadline = Date.now() + BATCH_MS
+  const done = { updated: 0, deleted: 0 }
+  while (Date.now() < deadline) {
+    const page = await prisma.masterRecordContribution.findMany({
+      where: { jobId },
+      distinct: ['pairId'],
+      select: { pairId: true },
+      orderBy: { pairId: 'asc' },
+      take: PAIR_BATCH,
+    })
+    if (!page.length) break
+    const byPair = await contributionsByPair(jobId, page.map((p) => p.pairId))
+    for (const [pairId, counts] of byPair) {
+      if (Date.now() >= deadline) break
+      const outcome = await retractPair(jobId, pairId, counts)
+      if (outcome) done[outcome]++
+    }
+  }
+  const remaining = await prisma.masterRecordContribution.count({ where: { jobId } })
+  return { ...done, remaining }
+}
+
+export default async (req) => {
+  try {
+    const gate = await requireAdmin(req)
+    if (!gate.allowed) return gate.forbidden()
+    const me = gate.user
+
+    const url = new URL(req.url)
+    const method = req.method.toUpperCase()
+
+    if (method === 'GET') {
+      const jobId = String(url.searchParams.get('job') || '').trim()
+      if (!jobId) return json({ error: 'job is required' }, 400)
+      const job = await loadJob(jobId)
+      if (!job) return json({ error: 'Job not found' }, 404)
+      return json(await preview(job))
+    }
+
+    if (method === 'POST') {
+      const body = await req.json().catch(() => ({}))
+      const jobId = String(body?.job || '').trim()
+      if (!jobId) return json({ error: 'job is required' }, 400)
+      const job = await loadJob(jobId)
+      if (!job) return json({ error: 'Job not found' }, 404)
+      if (job.kind !== 'upload') return json({ error: 'Only upload jobs add to MasterRecord' }, 400)
+      if (['queued', 'running', 'paused'].includes(job.status)) {
+        return json({ error: `Job is ${job.status}; wait for it to finish or cancel it before retracting it` }, 409)
+      }
+
+      if (!(await prisma.masterRecordContribution.count({ where: { jobId: job.id } }))) {
+        return json({ error: job.retractedAt ? 'Job was already retracted' : 'Job has no recorded contributions (processed before they were recorded)' }, 400)
+      }
+
+      const result = await retractBatch(job.id)
+      let retractedAt = job.retractedAt
+      if (!result.remaining) {
+        retractedAt = new Date()
+        await prisma.job.update({ where: { id: job.id }, data: { retractedAt } })
+        await recordJobEvent(prisma, job.id, 'retracted', { by: me?.email ?? null })
+      }
+      console.info(`[admin-retract] ${me?.email || 'admin'} retracted job ${job.id}:`, result)
+      return json({ jobId: job.id, ...result, retractedAt })
+    }
+
+    return json({ error: 'Unsupported method' }, 405)
+  } catch (err) {
+    console.error('[admin-retract] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
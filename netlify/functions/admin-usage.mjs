@@ -0,0 +1,101 @@
+// netlify/functions/admin-usage.mjs — LLM token usage, cost and monthly budgets per user
+// Supports:
+//   GET /api/admin-usage?month=YYYY-MM                      -> per-user totals for that month (default: current, UTC),
+//                                                              counting what jobs spent while running in it
+//   PUT /api/admin-usage { userId, monthlyBudgetCents }     -> set a user's budget (null = default / unlimited)
+// Raising a budget restarts that user's jobs that were paused for exceeding it.
+
+import { PrismaClient } from '@prisma/client'
+import { requireAdmin } from './_admin-gate.mjs'
+import { BUDGET_PAUSE_PREFIX, defaultMonthlyBudgetCents, monthStart, monthlyBudgetCents, monthSpendCents, dispatchWorkers, recordJobEvent } from './_jobs.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+function monthRange(month) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(month || ''))
+  const from = m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1)) : monthStart()
+  return { from, month: from.toISOString().slice(0, 7) }
+}
+
+export default async (req) => {
+  try {
+    const gate = await requireAdmin(req)
+    if (!gate.allowed) return gate.forbidden()
+
+    const url = new URL(req.url)
+    const method = req.method.toUpperCase()
+
+    if (method === 'GET') {
+      const { from, month } = monthRange(url.searchParams.get('month'))
+      const groups = await prisma.jobSpend.groupBy({
+        by: ['userId'],
+        where: { month: from },
+        _sum: { tokensIn: true, tokensOut: true, costCents: true },
+        _count: { _all: true }
+      })
+      const userIds = groups.map((g) => g.userId).filter(Boolean)
+      const users = userIds.length
+        ? await prisma.user.findMany({ where: { id: { in: userIds } }, select: { id: true, email: true, monthlyBudgetCents: true } })
+        : []
+      const userMap = new Map(users.map((u) => [u.id, u]))
+      const rows = groups
+        .map((g) => {
+          const u = g.userId ? userMap.get(g.userId) : null
+          return {
+            userId: g.userId,
+            userEmail: u?.email ?? null,
+            jobs: g._count._all,
+            tokensIn: g._sum.tokensIn || 0,
+            tokensOut: g._sum.tokensOut || 0,
+            costCents: g._sum.costCents || 0,
+            monthlyBudgetCents: u?.monthlyBudgetCents ?? null
+          }
+        })
+        .sort((a, b) => b.costCents - a.costCents)
+      return json({ month, defaultBudgetCents: defaultMonthlyBudgetCents(), users: rows })
+    }
+
+    if (method === 'PUT') {
+      const body = await req.json().catch(() => ({}))
+      const userId = String(body?.userId ?? '').trim()
+      if (!userId) return json({ error: 'Missing userId' }, 400)
+      const raw = body?.monthlyBudgetCents
+      const cents = raw === null || raw === '' || raw === undefined ? null : Number(raw)
+      if (cents !== null && !(Number.isInteger(cents) && cents >= 0)) {
+        return json({ error: 'monthlyBudgetCents must be a non-negative integer or null' }, 400)
+      }
+      const exists = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } })
+      if (!exists) return json({ error: `Unknown user "${userId}"` }, 404)
+      await prisma.user.update({ where: { id: userId }, data: { monthlyBudgetCents: cents } })
+
+      // Resume budget-paused jobs once the user is back under budget
+      const budget = await monthlyBudgetCents(prisma, userId)
+      const spent = await monthSpendCents(prisma, userId)
+      const resumed = []
+      if (budget == null || spent < budget) {
+        const paused = await prisma.job.findMany({
+          where: { OR: [{ userId }, { userId: null, upload: { userId } }], status: 'queued', error: { startsWith: BUDGET_PAUSE_PREFIX } },
+          select: { id: true }
+        })
+        for (const j of paused) {
+          await prisma.job.update({ where: { id: j.id }, data: { error: null } })
+          await recordJobEvent(prisma, j.id, 'resumed', { reason: 'budget raised' })
+          resumed.push(j.id)
+        }
+        if (resumed.length) await dispatchWorkers(prisma, { label: 'admin-usage' })
+      }
+      return json({ ok: true, userId, monthlyBudgetCents: cents, spentCents: spent, resumed })
+    }
+
+    return json({ error: 'Unsupported method' }, 405)
+  } catch (err) {
+    console.error('[admin-usage] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
@@ -0,0 +1,72 @@
+// netlify/functions/column-presets.mjs — the signed-in user's upload column-mapping presets
+// Supports:
+//   GET    /api/column-presets                      -> { fields, presets: [{ id, name, mapping, updatedAt }] }
+//   PUT    /api/column-presets { name, mapping }    -> save (create or replace) a preset by name
+//   DELETE /api/column-presets?name=...             -> delete a preset
+// `mapping` is { field: file header } (see _columns.mjs); the upload step suggests the most recent preset
+// whose columns are all in the file.
+
+import { PrismaClient } from '@prisma/client'
+import { requireUser } from './_admin-gate.mjs'
+import { fieldList, sanitizeColumnMapping } from './_columns.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+export default async (req) => {
+  try {
+    const user = await requireUser(req)
+    if (!user) return json({ error: 'not_authenticated' }, 401)
+
+    const url = new URL(req.url)
+    const method = req.method.toUpperCase()
+
+    if (method === 'GET') {
+      const presets = await prisma.columnMappingPreset.findMany({
+        where: { userId: user.sub },
+        orderBy: { updatedAt: 'desc' },
+        select: { id: true, name: true, mapping: true, updatedAt: true }
+      })
+      return json({ fields: fieldList(), presets })
+    }
+
+    if (method === 'PUT') {
+      const body = await req.json().catch(() => ({}))
+      const name = String(body?.name ?? '').trim()
+      if (!name || name.length > 100) return json({ error: 'Preset name is required (up to 100 characters)' }, 400)
+      const mapping = sanitizeColumnMapping(body?.mapping)
+      if (!Object.keys(mapping).length) return json({ error: 'The mapping has no columns' }, 400)
+
+      await prisma.user.upsert({
+        where: { id: user.sub },
+        update: {},
+        create: { id: user.sub, email: user.email, name: user.name }
+      })
+      const preset = await prisma.columnMappingPreset.upsert({
+        where: { userId_name: { userId: user.sub, name } },
+        create: { userId: user.sub, name, mapping },
+        update: { mapping },
+        select: { id: true, name: true, mapping: true, updatedAt: true }
+      })
+      return json({ ok: true, preset })
+    }
+
+    if (method === 'DELETE') {
+      const name = String(url.searchParams.get('name') ?? '').trim()
+      if (!name) return json({ error: 'Missing name' }, 400)
+      const { count } = await prisma.columnMappingPreset.deleteMany({ where: { userId: user.sub, name } })
+      if (!count) return json({ error: 'Preset not found' }, 404)
+      return json({ ok: true })
+    }
+
+    return json({ error: 'Unsupported method' }, 405)
+  } catch (err) {
+    console.error('[column-presets] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
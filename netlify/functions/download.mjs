@@ -1,11 +1,41 @@
+// netlify/functions/download.mjs — job output (or, with &report=validation, the upload's validation report)
+// The output is assembled from its part blobs as it streams out (see ./_outputs.mjs).
+// &format=csv (default) | xlsx | jsonl | parquet picks the file format (see ./_formats.mjs); XLSX adds a
+// relationship legend sheet and a run metadata sheet, Parquet carries the same metadata as key-value pairs.
+
 import { PrismaClient } from '@prisma/client'
 import { getStore } from '@netlify/blobs'
 import { requireAdmin, requireUser } from './_admin-gate.mjs'
+import { OUTPUT_FORMATS, formatOutput } from './_formats.mjs'
+import { LIFT_MIN_FOR_LLM } from './_uploads.mjs'
 
 const prisma = globalThis.__prisma || new PrismaClient()
 // @ts-ignore
 globalThis.__prisma = prisma
 
+function runMetadata(job) {
+  return {
+    'Job': job.id,
+    'Kind': job.kind,
+    'File': job.upload?.originalName ?? '',
+    'Status': job.status,
+    'Created': job.createdAt?.toISOString() ?? '',
+    'Finished': job.finishedAt?.toISOString() ?? '',
+    'Rows': job.rowsTotal ?? '',
+    'Rows processed': job.rowsProcessed ?? '',
+    'Rows rejected by validation': job.rowsRejected ?? 0,
+    // Recorded by the worker when it claims the job; jobs that ran before that have none
+    'Model': job.model ?? 'not recorded',
+    'Prompt version': job.promptVersion ?? '',
+    'LLM lift threshold (classified when lift >)': LIFT_MIN_FOR_LLM,
+    'Force fresh classification': job.forceRefresh ? 'yes' : 'no',
+    'Tokens in': job.tokensIn ?? 0,
+    'Tokens out': job.tokensOut ?? 0,
+    'Cost (USD)': ((job.costCents ?? 0) / 100).toFixed(2),
+    'Exported': new Date().toISOString()
+  }
+}
+
 export default async function handler(req) {
   try {
     if (req.method !== 'GET') {
@@ -19,7 +49,7 @@ export default async function handler(req) {
     // Load job first (we need userId to decide access)
     const job = await prisma.job.findUnique({
       where: { id: jobId },
-      select: { id: true, userId: true, outputBlobKey: true }
+      include: { upload: { select: { originalName: true, userId: true } } }
     })
     if (!job) return new Response('Not found', { status: 404 })
 
@@ -28,24 +58,33 @@ export default async function handler(req) {
     let user = null
     if (!gate.allowed) {
       user = await requireUser(req)
-      if (!user || user.id !== job.userId) {
+      // Older jobs were created without userId; their upload's owner owns them
+      const owner = job.userId ?? job.upload?.userId ?? null
+      if (!user || !owner || user.sub !== owner) {
         return new Response('Unauthorized', { status: 401 })
       }
     }
 
-    if (!job.outputBlobKey) {
-      return new Response('Output not ready', { status: 404 })
+    const report = url.searchParams.get('report') === 'validation'
+    const format = report ? 'csv' : (url.searchParams.get('format') || 'csv').toLowerCase()
+    if (!OUTPUT_FORMATS[format]) {
+      return new Response(`Unsupported format; use one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`, { status: 400 })
+    }
+    const blobKey = report ? job.validationBlobKey : job.outputBlobKey
+    if (!blobKey) {
+      return new Response(report ? 'No validation report for this job' : 'Output not ready', { status: 404 })
     }
 
     const outputs = getStore('outputs')
-    const stream = await outputs.get(job.outputBlobKey, { type: 'stream' })
-    if (!stream) return new Response('Not found', { status: 404 })
+    const body = report ? await outputs.get(blobKey, { type: 'stream' }) : await formatOutput(outputs, job, format, runMetadata(job))
+    if (!body) return new Response('Not found', { status: 404 })
 
-    return new Response(stream, {
+    const { ext, contentType } = OUTPUT_FORMATS[format]
+    return new Response(body, {
       status: 200,
       headers: {
-        'content-type': 'text/csv; charset=utf-8',
-        'content-disposition': `attachment; filename="job-${job.id}.csv"`,
+        'content-type': contentType,
+        'content-disposition': `attachment; filename="job-${job.id}${report ? '-validation' : ''}.${ext}"`,
         'cache-control': 'no-store'
       }
     })
@@ -0,0 +1,114 @@
+// netlify/functions/job-control.mjs — pause, resume, cancel or retry a job (its owner or an admin)
+// Supports:
+//   POST /api/job-control { job, action: 'pause' | 'resume' | 'cancel' | 'retry', llmErrorsOnly? } -> { id, status, attempts }
+// pause: a queued or running job becomes 'paused'; a running worker sees it between rows, writes what
+//        it has and stops. The job keeps its cursor and output parts. The worker keeps its lease until
+//        it has written, and then releases it.
+// resume: a paused job goes back to 'queued' and workers are dispatched; it continues after the last
+//         committed row. A worker still stopping for the pause keeps the lease meanwhile: no other worker
+//         claims the job until it has written what it has and released the lease, and then it dispatches
+//         the next one itself.
+// cancel: a queued, running or paused job becomes 'cancelled' for good; the output written so far stays
+//         downloadable.
+// retry: a failed job goes back to 'queued' and continues after its last committed row. The failure is
+//        appended to Job.errorHistory and Job.attempts goes up. With llmErrorsOnly (failed or completed
+//        jobs) the job instead starts over from the first row with a fresh output: rows it already counted
+//        are not counted again (MasterRecordContribution), so only pairs whose classification ended in an
+//        LLM error are sent to the model, plus any rows the job never reached.
+
+import { PrismaClient } from '@prisma/client'
+import { requireAdmin, requireUser } from './_admin-gate.mjs'
+import { dispatchWorkers, recordJobEvent } from './_jobs.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+// Entries kept in Job.errorHistory
+const MAX_ERROR_HISTORY = 20
+
+function retryData(job, { llmErrorsOnly }) {
+  const failure = { attempt: job.attempts, status: job.status, error: job.error, rowsProcessed: job.rowsProcessed, at: new Date().toISOString() }
+  const history = [...(Array.isArray(job.errorHistory) ? job.errorHistory : []), failure].slice(-MAX_ERROR_HISTORY)
+  return {
+    status: 'queued',
+    error: null,
+    finishedAt: null,
+    lastHeartbeat: new Date(),
+    attempts: job.attempts + 1,
+    errorHistory: history,
+    // Start over; the worker finds the rows it counted before in the contribution ledger
+    ...(llmErrorsOnly ? { rowsProcessed: 0, cursor: 0, outputParts: 0 } : {}),
+  }
+}
+
+// action -> statuses it applies to and the update it makes
+const ACTIONS = {
+  pause: { from: () => ['queued', 'running'], data: () => ({ status: 'paused' }) },
+  resume: { from: () => ['paused'], data: () => ({ status: 'queued', error: null, lastHeartbeat: new Date() }) },
+  cancel: { from: () => ['queued', 'running', 'paused'], data: () => ({ status: 'cancelled', finishedAt: new Date() }) },
+  retry: { from: (opts) => (opts.llmErrorsOnly ? ['failed', 'completed'] : ['failed']), data: retryData },
+}
+
+const TRIGGERS_WORKER = new Set(['resume', 'retry'])
+// JobEvent type per action
+const EVENT_TYPES = { pause: 'paused', resume: 'resumed', cancel: 'cancelled', retry: 'retried' }
+
+// A job that ran before rows were recorded in the contribution ledger would count its rows twice if it started over
+async function hasFullLedger(job) {
+  const entries = await prisma.masterRecordContribution.count({ where: { jobId: job.id } })
+  return entries >= (job.rowsProcessed || 0) - (job.rowsRejected || 0)
+}
+
+export default async (req) => {
+  try {
+    if (req.method.toUpperCase() !== 'POST') return json({ error: 'Unsupported method' }, 405)
+
+    const user = await requireUser(req)
+    if (!user) return json({ error: 'not_authenticated' }, 401)
+
+    const body = await req.json().catch(() => ({}))
+    const jobId = String(body?.job || '').trim()
+    const action = ACTIONS[body?.action]
+    if (!jobId) return json({ error: 'job is required' }, 400)
+    if (!action) return json({ error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}` }, 400)
+
+    const opts = { llmErrorsOnly: body?.llmErrorsOnly === true }
+    const job = await prisma.job.findUnique({
+      where: { id: jobId },
+      select: {
+        id: true, status: true, kind: true, userId: true, error: true, attempts: true, errorHistory: true, rowsProcessed: true, rowsRejected: true,
+        upload: { select: { userId: true } },
+      },
+    })
+    // Older jobs were created without userId; their upload's owner owns them
+    const owner = job ? job.userId ?? job.upload?.userId ?? null : null
+    if (!job || (owner !== user.sub && !(await requireAdmin(req)).allowed)) return json({ error: 'Job not found' }, 404)
+
+    if (opts.llmErrorsOnly) {
+      if (job.kind !== 'upload') return json({ error: 'llmErrorsOnly applies to upload jobs' }, 400)
+      if (!(await hasFullLedger(job))) return json({ error: 'This job ran before row contributions were recorded and cannot start over without counting rows twice' }, 409)
+    }
+
+    // Conditional on the status, so a worker finishing at the same moment is not overwritten
+    const res = await prisma.job.updateMany({ where: { id: job.id, status: { in: action.from(opts) } }, data: action.data(job, opts) })
+    if (!res.count) return json({ error: `Cannot ${body.action} a ${job.status} job` }, 409)
+
+    await recordJobEvent(prisma, job.id, EVENT_TYPES[body.action], {
+      by: user.email || user.sub,
+      from: job.status,
+      ...(body.action === 'retry' ? { attempt: job.attempts + 1, error: job.error, llmErrorsOnly: opts.llmErrorsOnly } : {}),
+    })
+    if (TRIGGERS_WORKER.has(body.action)) await dispatchWorkers(prisma, { label: 'job-control' })
+    const updated = await prisma.job.findUnique({ where: { id: job.id }, select: { id: true, status: true, attempts: true } })
+    console.info(`[job-control] ${user.email || user.sub} ${body.action} job ${job.id}: ${job.status} -> ${updated?.status}`)
+    return json(updated)
+  } catch (err) {
+    console.error('[job-control] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
@@ -0,0 +1,200 @@
+// netlify/functions/job-events.mjs — live progress of the signed-in user's jobs as Server-Sent Events
+// Supports:
+//   GET /api/jobs/:id/events            -> text/event-stream for that one job (404 unless the user owns it)
+//   GET /api/jobs/events?jobs=<id>,<id> -> text/event-stream for each of the user's queued or running jobs and
+//   each job listed in `jobs` (the ones the page shows as active); the Dashboard uses this one.
+// Both send these events:
+//     progress { id, status, rowsProcessed, rowsTotal, rowsPerSecond, etaSeconds, tokensIn, tokensOut, costCents, error }
+//              first on connect, then whenever one of them changes
+//     rows     { id, rows: [{ concept_a, concept_b, relationship_type, llm_status }] } the most recent output
+//              rows, on connect and after each flush of the worker
+//     end      { id, status } once the job is no longer queued or running (also right away for a listed job
+//              that already finished, so the page learns about jobs that ended between two streams)
+// All of the stream's jobs are read with one query per POLL_MS, and the output store only when a flush added a
+// part, so a tab costs the same few reads however many jobs it shows. A stream lasts STREAM_MS, within the
+// 10 s limit of synchronous functions, and then closes; EventSource reconnects by itself, and the event id
+// ("<job>:<rows>@<ms>/<parts>,…") carries the throughput samples and the output parts already sent into the
+// next stream through Last-Event-ID.
+
+import { PrismaClient } from '@prisma/client'
+import { getStore } from '@netlify/blobs'
+import { requireUser } from './_admin-gate.mjs'
+import { recentOutputRows } from './_outputs.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+const POLL_MS = 5000
+// Netlify ends synchronous functions after 10 s; the last poll starts no later than STREAM_MS - POLL_MS
+const STREAM_MS = 8000
+// Client reconnect delay after a stream closes
+const RETRY_MS = 1000
+// Throughput is measured over this much history
+const RATE_WINDOW_MS = 2 * 60 * 1000
+const RECENT_ROWS = 5
+const ACTIVE_STATUSES = ['queued', 'running']
+const MAX_LISTED = 100
+
+const PROGRESS_FIELDS = { id: true, status: true, rowsProcessed: true, rowsTotal: true, tokensIn: true, tokensOut: true, costCents: true, error: true, outputBlobKey: true, outputParts: true }
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+// Upload jobs carry concept names in concept_a_t/concept_b_t; reclassify outputs only have concept_a/concept_b
+const recentRow = (r) => ({
+  concept_a: r.concept_a_t || r.concept_a || '',
+  concept_b: r.concept_b_t || r.concept_b || '',
+  relationship_type: r.relationship_type || '',
+  llm_status: r.llm_status || ''
+})
+
+// "<job>:<rows>@<ms>/<parts>,…" from Last-Event-ID: per job, the first throughput sample of a reconnected
+// stream and the output parts whose rows were sent already
+function parseEventId (id) {
+  const samples = new Map()
+  const parts = new Map()
+  for (const entry of String(id || '').split(',')) {
+    const m = /^([^:]+):(\d+)@(\d+)(?:\/(\d+))?$/.exec(entry)
+    if (!m) continue
+    samples.set(m[1], [{ rows: Number(m[2]), t: Number(m[3]) }])
+    if (m[4] != null) parts.set(m[1], Number(m[4]))
+  }
+  return { samples, parts }
+}
+
+const eventId = (samples, shown) => Array.from(samples, ([id, list]) => {
+  const last = list[list.length - 1]
+  const parts = shown.get(id)?.parts
+  return `${id}:${last.rows}@${last.t}${parts != null ? `/${parts}` : ''}`
+}).join(',')
+
+function progressOf (job, samples) {
+  const rows = job.rowsProcessed || 0
+  const first = samples[0]
+  const last = samples[samples.length - 1]
+  const rate = first && last && last.t > first.t ? (last.rows - first.rows) / ((last.t - first.t) / 1000) : null
+  const left = job.rowsTotal != null ? Math.max(0, job.rowsTotal - rows) : null
+  return {
+    id: job.id,
+    status: job.status,
+    rowsProcessed: rows,
+    rowsTotal: job.rowsTotal,
+    rowsPerSecond: rate == null ? null : Math.round(rate * 100) / 100,
+    etaSeconds: job.status === 'running' && rate > 0 && left != null ? Math.round(left / rate) : null,
+    tokensIn: job.tokensIn ?? 0,
+    tokensOut: job.tokensOut ?? 0,
+    costCents: job.costCents ?? 0,
+    error: job.error
+  }
+}
+
+export default async (req, context) => {
+  try {
+    if (req.method.toUpperCase() !== 'GET') return json({ error: 'Unsupported method' }, 405)
+
+    const user = await requireUser(req)
+    if (!user) return json({ error: 'not_authenticated' }, 401)
+
+    // Older jobs were created without userId; their upload's owner owns them
+    const owned = { OR: [{ userId: user.sub }, { userId: null, upload: { userId: user.sub } }] }
+    const routeJobId = context?.params?.id ?? null
+    if (routeJobId && !(await prisma.job.findFirst({ where: { AND: [owned, { id: routeJobId }] }, select: { id: true } }))) {
+      return json({ error: 'Job not found' }, 404)
+    }
+    // One job; or the user's active jobs, plus those this stream has shown so it can report how they ended
+    const readJobs = (shown) => prisma.job.findMany({
+      where: routeJobId
+        ? { AND: [owned, { id: routeJobId }] }
+        : { AND: [owned, { OR: [{ status: { in: ACTIVE_STATUSES } }, ...(shown.length ? [{ id: { in: shown } }] : [])] }] },
+      select: PROGRESS_FIELDS
+    })
+
+    const listed = routeJobId
+      ? [routeJobId]
+      : String(new URL(req.url).searchParams.get('jobs') || '').split(',').map((id) => id.trim()).filter(Boolean).slice(0, MAX_LISTED)
+
+    const outputs = getStore('outputs')
+    const encoder = new TextEncoder()
+    const deadline = Date.now() + STREAM_MS
+    const { samples, parts: partsSent } = parseEventId(req.headers.get('last-event-id'))
+
+    const stream = new ReadableStream({
+      start (controller) {
+        let closed = false
+        const close = () => {
+          if (closed) return
+          closed = true
+          try { controller.close() } catch {}
+        }
+        req.signal?.addEventListener('abort', close)
+        const write = (text) => {
+          if (!closed) controller.enqueue(encoder.encode(text))
+        }
+        const send = (event, data, id = null) => write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+        const run = async () => {
+          write(`retry: ${RETRY_MS}\n\n`)
+          // Per job: last progress sent and output parts seen
+          const shown = new Map(listed.map((id) => [id, { progress: '', parts: partsSent.get(id) ?? null }]))
+          for (;;) {
+            const jobs = await readJobs(Array.from(shown.keys()))
+            const now = Date.now()
+            const changed = []
+            for (const job of jobs) {
+              const list = samples.get(job.id) ?? []
+              list.push({ rows: job.rowsProcessed || 0, t: now })
+              while (list.length > 2 && now - list[1].t >= RATE_WINDOW_MS) list.shift()
+              samples.set(job.id, list)
+
+              const seen = shown.get(job.id) ?? { progress: '', parts: partsSent.get(job.id) ?? null }
+              const progress = progressOf(job, list)
+              const { rowsPerSecond, etaSeconds, ...watched } = progress
+              if (JSON.stringify(watched) !== seen.progress) {
+                seen.progress = JSON.stringify(watched)
+                changed.push(progress)
+              }
+              if (job.outputParts !== seen.parts) {
+                seen.parts = job.outputParts
+                const rows = await recentOutputRows(outputs, job, RECENT_ROWS).catch(() => [])
+                send('rows', { id: job.id, rows: rows.map(recentRow) })
+              }
+              shown.set(job.id, seen)
+            }
+            const byId = new Map(jobs.map((j) => [j.id, j]))
+            for (const jobId of samples.keys()) if (!byId.has(jobId)) samples.delete(jobId)
+            const id = eventId(samples, shown)
+            for (const progress of changed) send('progress', progress, id)
+            if (!changed.length) write(': ping\n\n')
+
+            for (const jobId of Array.from(shown.keys())) {
+              const job = byId.get(jobId)
+              if (job && ACTIVE_STATUSES.includes(job.status)) continue
+              send('end', { id: jobId, status: job ? job.status : 'deleted' })
+              shown.delete(jobId)
+              samples.delete(jobId)
+            }
+
+            // A single job's stream has nothing more to say once it has ended
+            if (closed || (routeJobId && !shown.size) || Date.now() + POLL_MS > deadline) break
+            await new Promise((resolve) => setTimeout(resolve, POLL_MS))
+            if (closed) break
+          }
+        }
+
+        // On a failure the stream just closes and the client reconnects
+        run().catch((err) => console.error('[job-events] ERROR', err)).finally(close)
+      }
+    })
+
+    return new Response(stream, {
+      headers: { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' }
+    })
+  } catch (err) {
+    console.error('[job-events] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
+
+export const config = { path: ['/api/jobs/events', '/api/jobs/:id/events'] }
@@ -0,0 +1,47 @@
+// netlify/functions/job-timeline.mjs — a job's event log (its owner or an admin)
+// Supports:
+//   GET /api/job-timeline?job=<id> -> { jobId, events: [{ id, type, runId, details, createdAt }], truncated }
+// Events are the JobEvent rows written by the worker and the functions that change a job (see recordJobEvent
+// in ./_jobs.mjs), oldest first. Long-running jobs log one 'flushed' event per checkpoint, so only the
+// latest MAX_EVENTS are returned.
+
+import { PrismaClient } from '@prisma/client'
+import { requireAdmin, requireUser } from './_admin-gate.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+const MAX_EVENTS = 1000
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+}
+
+export default async (req) => {
+  try {
+    if (req.method.toUpperCase() !== 'GET') return json({ error: 'Unsupported method' }, 405)
+
+    const user = await requireUser(req)
+    if (!user) return json({ error: 'not_authenticated' }, 401)
+
+    const jobId = String(new URL(req.url).searchParams.get('job') || '').trim()
+    if (!jobId) return json({ error: 'job is required' }, 400)
+    const job = await prisma.job.findUnique({ where: { id: jobId }, select: { id: true, userId: true, upload: { select: { userId: true } } } })
+    // Older jobs were created without userId; their upload's owner owns them
+    const owner = job ? job.userId ?? job.upload?.userId ?? null : null
+    if (!job || (owner !== user.sub && !(await requireAdmin(req)).allowed)) return json({ error: 'Job not found' }, 404)
+
+    const latest = await prisma.jobEvent.findMany({
+      where: { jobId: job.id },
+      select: { id: true, type: true, runId: true, details: true, createdAt: true },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: MAX_EVENTS + 1,
+    })
+    const truncated = latest.length > MAX_EVENTS
+    return json({ jobId: job.id, events: latest.slice(0, MAX_EVENTS).reverse(), truncated })
+  } catch (err) {
+    console.error('[job-timeline] ERROR', err)
+    return json({ error: String(err?.message ?? err) }, 500)
+  }
+}
@@ -39,7 +39,8 @@ export default async (req) => {
 
     // Pull each Job and its related Upload's originalName (and blobKey as a fallback)
     const rows = await prisma.job.findMany({
-      where: { userId: user.id },
+      // Older jobs were created without userId; fall back to the owner of their upload
+      where: { OR: [{ userId: user.sub }, { userId: null, upload: { userId: user.sub } }] },
       orderBy: { createdAt: 'desc' },
       take,
       select: {
@@ -50,6 +51,14 @@ export default async (req) => {
         createdAt: true,
         finishedAt: true,
         outputBlobKey: true,
+        tokensIn: true,
+        tokensOut: true,
+        costCents: true,
+        rowsRejected: true,
+        validationBlobKey: true,
+        error: true,
+        attempts: true,
+        errorHistory: true,
         upload: {
           select: { originalName: true, blobKey: true },
         },
@@ -59,7 +68,7 @@ export default async (req) => {
     const shaped = rows.map((r) => {
       const uploadName = r.upload?.originalName ?? null
       const uploadKeyLeaf = r.upload?.blobKey ? r.upload.blobKey.split('/').pop() : null
-      const outputKeyLeaf = r.outputBlobKey ? r.outputBlobKey.split('/').pop() : null
+      const outputKeyLeaf = r.outputBlobKey ? r.outputBlobKey.replace(/\/$/, '').split('/').pop() : null
 
       return {
         id: r.id,
@@ -68,6 +77,14 @@ export default async (req) => {
         rowsProcessed: r.rowsProcessed,
         createdAt: r.createdAt,
         finishedAt: r.finishedAt,
+        error: r.error,
+        attempts: r.attempts,
+        errorHistory: Array.isArray(r.errorHistory) ? r.errorHistory : [],
+        tokensIn: r.tokensIn ?? 0,
+        tokensOut: r.tokensOut ?? 0,
+        costCents: r.costCents ?? 0,
+        rowsRejected: r.rowsRejected ?? 0,
+        validationUrl: r.validationBlobKey ? `/api/download?job=${encodeURIComponent(r.id)}&report=validation` : null,
         // normalized filename for the UI: prefer Upload.originalName, then blob key leaf, then output key leaf
         fileName: uploadName ?? uploadKeyLeaf ?? outputKeyLeaf ?? '—',
         // keep existing output URL behavior
@@ -0,0 +1,23 @@
+// netlify/functions/process-queue-scheduled.mjs — queue dispatcher, every minute
+// Starts process-upload-background workers for the jobs waiting in the queue (see the queue section of
+// ./_jobs.mjs). Functions that queue work also dispatch right away; this tick picks up everything else:
+// jobs a worker yielded, jobs the watchdog requeued, and jobs whose LLM pause has run out.
+
+import { PrismaClient } from '@prisma/client'
+import { dispatchWorkers } from './_jobs.mjs'
+
+const prisma = globalThis.__prisma || new PrismaClient()
+// @ts-ignore
+globalThis.__prisma = prisma
+
+export default async () => {
+  try {
+    const started = await dispatchWorkers(prisma, { label: 'process-queue-scheduled' })
+    return new Response(JSON.stringify({ ok: true, started }), { status: 200, headers: { 'content-type': 'application/json' } })
+  } catch (err) {
+    console.error('[process-queue-scheduled] ERROR', err)
+    return new Response(JSON.stringify({ error: String(err?.message ?? err) }), { status: 500, headers: { 'content-type': 'application/json' } })
+  }
+}
+
+export const config = { schedule: '* * * * *' }
@@ -1,11 +1,26 @@
 // netlify/functions/process-upload-background.mjs
 
 
+import { randomUUID } from 'node:crypto'
 import { getStore } from '@netlify/blobs'
 import { parse as parseCsv } from 'csv-parse/sync'
 import * as XLSX from 'xlsx'
-import { PrismaClient } from '@prisma/client'
-import { createHash } from 'node:crypto'
+import { PrismaClient, Prisma } from '@prisma/client'
+import { createProvider } from './_llm/providers.mjs'
+import { RELATIONSHIP_TYPES } from './_llm/classification.mjs'
+import { createClassifier } from './_llm/classifier.mjs'
+import { LlmUnavailableError } from './_llm/retry.mjs'
+import { consensusConfig, consensusDescriptor, createConsensusClassifier, needsReview } from './_llm/consensus.mjs'
+import { loadPrompt, renderTemplate, pairVariables, conceptDomain, promptVariant } from './_llm/prompts.mjs'
+import { createRateLimiter } from './_llm/rate-limit.mjs'
+import { spendOf, NO_SPEND } from './_llm/pricing.mjs'
+import { runOrderedPool, createKeyedMutex } from './_pool.mjs'
+import { computeStatisticalFields } from './_stats.mjs'
+import { BUDGET_PAUSE_PREFIX, LLM_PAUSE_PREFIX, RELEASE_LEASE, STOPPED_STATUSES, LEASE_MS, claimJob, dispatchWorkers, recordJobEvent, renewLease, monthlyBudgetCents, monthSpendCents, recordSpend, formatCents } from './_jobs.mjs'
+import { createRowValidator, quarantinedRowsKey } from './_validate.mjs'
+import { mapRow, suggestColumnMapping } from './_columns.mjs'
+import { outputPrefix, isPartPrefix, readOutputHeader, writeOutputHeader, writeOutputPart } from './_outputs.mjs'
+import { getExtFromName, uploadRows, ROW_SOURCE, pairIdentity, passesLiftThreshold, stablePromptKey, llmCacheModels, reusableCacheResult, toIntStrict } from './_uploads.mjs'
 
 const prisma = globalThis.__prisma ?? new PrismaClient()
 
@@ -21,11 +36,29 @@ const MAX_RUN_MS = Number(process.env.MAX_RUN_MS || 13.5 * 60 * 1000)
 // <<< END MODIFIED
 const FLUSH_EVERY_ROWS = Number(process.env.FLUSH_EVERY_ROWS || 50)
 const FLUSH_EVERY_MS = Number(process.env.FLUSH_EVERY_MS || 5000)
-const PRIMARY_MODEL = process.env.OPENAI_API_MODEL || 'gpt-4-turbo'
-const MODEL_FALLBACKS = [PRIMARY_MODEL, 'gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'].filter(Boolean)
+// How often a running job looks for a pause or cancel request (see job-control.mjs) and checks it still holds its lease
+const CONTROL_POLL_MS = Number(process.env.CONTROL_POLL_MS || 5000)
+// The lease is renewed on a timer, several times per LEASE_MS, so a row stuck in LLM retries cannot let it lapse
+const LEASE_RENEW_MS = Math.max(5000, Math.floor(LEASE_MS / 4))
+// stopRequested value when another worker took the job over (our lease expired)
+const LEASE_LOST = 'lease lost'
+// stopRequested value when the job was paused and resumed again before this run noticed the pause
+const RESUMED = 'resumed'
+// Rows in flight at once; output order and checkpoints stay sequential (see ./_pool.mjs)
+const ROW_CONCURRENCY = Math.max(1, Number(process.env.ROW_CONCURRENCY || 4))
+const LLM_BATCH_SIZE = Math.max(1, Number(process.env.LLM_BATCH_SIZE || 1))
+const LLM_BATCH_WAIT_MS = Number(process.env.LLM_BATCH_WAIT_MS || 250)
+// LLM provider + model candidates are chosen by LLM_PROVIDER / LLM_MODELS (see ./_llm/providers.mjs)
+let __llmProvider = null
+const getProvider = () => (__llmProvider ??= createProvider())
+const primaryModel = () => getProvider().models[0]
+const llmRateLimiter = createRateLimiter()
+// Serializes concurrent rows that resolve to the same pairId (create-vs-update race)
+const withPairLock = createKeyedMutex()
 const LLM_CACHE_STORE = process.env.LLM_CACHE_STORE || 'cache'
 const LLM_CACHE_BLOB_KEY = process.env.LLM_CACHE_BLOB_KEY || 'llmcache.csv'
-const LIFT_MIN_FOR_LLM = Number(process.env.LIFT_MIN_FOR_LLM ?? 1.0)
+// The classification log is written per job as one blob per flush under this prefix
+const LLM_CACHE_LOG_PREFIX = LLM_CACHE_BLOB_KEY.replace(/\.csv$/i, '')
 
 
 // Where to find the MasterRecord mapping spreadsheet
@@ -39,21 +72,6 @@ const FIELD_MAP_CANDIDATE_KEYS = [
   'MasterRecordFields.csv'
 ]
 
-// ===== Relationship categories (unchanged) =====
-const RELATIONSHIP_TYPES = {
-  1: 'A causes B',
-  2: 'B causes A',
-  3: 'A indirectly causes B',
-  4: 'B indirectly causes A',
-  5: 'A and B share common cause',
-  6: 'Treatment of A causes B',
-  7: 'Treatment of B causes A',
-  8: 'A and B have similar initial presentations',
-  9: 'A is subset of B',
-  10: 'B is subset of A',
-  11: 'No clear relationship'
-}
-
 const ALLOWED_TYPES = new Set(['condition', 'procedure', 'medication', 'other'])
 const normalizeOptionalType = (v) => {
   if (v == null) return null
@@ -62,7 +80,6 @@ const normalizeOptionalType = (v) => {
   return ALLOWED_TYPES.has(s) ? s: 'other'
 }
 const numOrZero = (v) => { const n = Number(v); return Number.isFinite(n) ? n : 0 }
-const makePairId = ({ system_a, code_a, system_b, code_b }) => [system_a, code_a, system_b, code_b].map(x => String(x ?? '').trim().toUpperCase()).join('|')
 
 function nullIfEmptyString(v) {
   if (typeof v !== 'string') return v;
@@ -106,7 +123,7 @@ const FLOAT_FIELDS = new Set([
   'odds_ratio','or_lower_95','or_upper_95',
   'directionality_ratio','dir_prop_a_before_b',
   'dir_lower_95','dir_upper_95',
-  'confidence_a_to_b','confidence_b_to_a', 'expected_obs'
+  'confidence_a_to_b','confidence_b_to_a', 'expected_obs', 'llm_confidence', 'llm_agreement'
 ])
 
 const MAX = {
@@ -121,6 +138,8 @@ const MAX = {
   relationshipType: 64,
   llm_name: 100,
   llm_version: 50,
+  llm_intermediate: 255,
+  prompt_version: 32,
   human_reviewer: 254,
   status: 12,
 };
@@ -130,146 +149,8 @@ const toFloatOrNull = (v) => {
   return Number.isFinite(n) ? n : null
 }
 
-// Statistical field calculations (ported from concept_ab.sql step_5) ===
-// Computes statistical fields from the count fields in a MasterRecord-like object.
-// Accepts either camel (nA/nB) or lower (na/nb) keys.
-function computeStatisticalFields (t = {}) {
-  const nz = (v) => { const n = Number(v); return Number.isFinite(n) ? n : 0 }
-  const nn = (v) => { const n = Number(v); return Number.isFinite(n) ? n : null }
-
-  // Pull counts (support both nA/nB and na/nb)
-  const cooc_obs = nz(t.cooc_obs)
-  const nA = nz(t.nA ?? t.na)
-  const nB = nz(t.nB ?? t.nb)
-  const total = nz(t.total_persons)
-  const a_before_b = nz(t.a_before_b)
-  const b_before_a = nz(t.b_before_a)
-  const same_day = nz(t.same_day)                   // not used in stats directly, kept for completeness
-  const cooc_event_count = nz(t.cooc_event_count)   // not used in stats directly, kept for completeness
-
-  // expected co-occurrences under independence
-  let expected_obs = null
-  if (total > 0) {
-    const e = (nA * nB) / total
-    expected_obs = (e === 0 ? null : e)
-  }
-
-  // 2x2 table components
-  const ab = cooc_obs
-  const a_only = Math.max(0, nA - cooc_obs)
-  const b_only = Math.max(0, nB - cooc_obs)
-  const neither = Math.max(0, total - nA - nB + cooc_obs)
-
-  // Haldane–Anscombe correction
-  const ab_h = ab + 0.5
-  const a_only_h = a_only + 0.5
-  const b_only_h = b_only + 0.5
-  const neither_h = neither + 0.5
-
-  // Lift and CI (log-normal approximation)
-  let lift = null, lift_lower_95 = null, lift_upper_95 = null, z_score = null
-  if (expected_obs != null && expected_obs > 0) {
-    lift = cooc_obs / expected_obs
-    z_score = (cooc_obs - expected_obs) / Math.sqrt(expected_obs)
-    if (cooc_obs > 0) {
-      const se = Math.sqrt((1.0 / cooc_obs) + (1.0 / expected_obs))
-      const logR = Math.log(lift)
-      lift_lower_95 = Math.exp(logR - 1.96 * se)
-      lift_upper_95 = Math.exp(logR + 1.96 * se)
-    }
-  }
-
-  // Odds ratio with Haldane–Anscombe and CI
-  let odds_ratio = null, or_lower_95 = null, or_upper_95 = null
-  if (a_only_h > 0 && b_only_h > 0) {
-    odds_ratio = (ab_h * neither_h) / (a_only_h * b_only_h)
-  }
-  if (ab_h > 0 && a_only_h > 0 && b_only_h > 0 && neither_h > 0) {
-    const logOR = Math.log((ab_h * neither_h) / (a_only_h * b_only_h))
-    const seOR = Math.sqrt(1.0/ab_h + 1.0/a_only_h + 1.0/b_only_h + 1.0/neither_h)
-    or_lower_95 = Math.exp(logOR - 1.96 * seOR)
-    or_upper_95 = Math.exp(logOR + 1.96 * seOR)
-  }
-
-  // Directionality (A before B) and Wilson score CI
-  let directionality_ratio = null, dir_prop_a_before_b = null, dir_lower_95 = null, dir_upper_95 = null
-  const n_dir = a_before_b + b_before_a
-  if (n_dir > 0) {
-    const p = a_before_b / n_dir
-    directionality_ratio = p
-    dir_prop_a_before_b = p
-    const z = 1.96
-    const denom = 1.0 + (z*z) / n_dir
-    const center = p + (z*z) / (2*n_dir)
-    const margin = z * Math.sqrt((p*(1-p)/n_dir) + ((z*z) / (4*n_dir*n_dir)))
-    dir_lower_95 = (center - margin) / denom
-    dir_upper_95 = (center + margin) / denom
-  }
-
-  // Confidence measures
-  const confidence_a_to_b = nA > 0 ? cooc_obs / nA : null
-  const confidence_b_to_a = nB > 0 ? cooc_obs / nB : null
-
-  // Return all outputs
-  return {
-    expected_obs: nn(expected_obs),
-    lift: nn(lift),
-    lift_lower_95: nn(lift_lower_95),
-    lift_upper_95: nn(lift_upper_95),
-    z_score: nn(z_score),
-    ab_h: nn(ab_h),
-    a_only_h: nn(a_only_h),
-    b_only_h: nn(b_only_h),
-    neither_h: nn(neither_h),
-    odds_ratio: nn(odds_ratio),
-    or_lower_95: nn(or_lower_95),
-    or_upper_95: nn(or_upper_95),
-    directionality_ratio: nn(directionality_ratio),
-    dir_prop_a_before_b: nn(dir_prop_a_before_b),
-    dir_lower_95: nn(dir_lower_95),
-    dir_upper_95: nn(dir_upper_95),
-    confidence_a_to_b: nn(confidence_a_to_b),
-    confidence_b_to_a: nn(confidence_b_to_a)
-  }
-}
-// end statistics function
-
-
-function stablePromptKey(row) {
-  // Include only the fields that define the prompt/response semantics
-  const payload = {
-    model: row.model ?? '',
-    pairId: row.pairId ?? '',
-    system_a: row.system_a ?? '',
-    code_a: row.code_a ?? '',
-    system_b: row.system_b ?? '',
-    code_b: row.code_b ?? '',
-    concept_a_t: row.concept_a_t ?? '',
-    concept_b_t: row.concept_b_t ?? '',
-    relationship_code: row.relationship_code ?? '',
-    relationship_type: row.relationship_type ?? '',
-    prompt_version: process.env.PROMPT_VERSION ?? 'v1'
-  }
-  return createHash('sha256').update(JSON.stringify(payload)).digest('hex')
-}
 
-function getExtFromName (name = '') { const i = name.lastIndexOf('.'); return i >= 0 ? name.slice(i).toLowerCase() : '.csv' }
-
-function parseUploadBufferToRows (buffer, originalName) {
-  const ext = getExtFromName(originalName)
-  if (ext === '.csv') {
-    const text = Buffer.from(buffer).toString('utf-8')
-    return parseCsv(text, { columns: true, skip_empty_lines: true, trim: true })
-  }
-  if (ext === '.xlsx' || ext === '.xls') {
-    const wb = XLSX.read(buffer, { type: 'buffer' })
-    const sheet = wb.SheetNames[0]
-    return XLSX.utils.sheet_to_json(wb.Sheets[sheet], { defval: '' })
-  }
-  throw new Error(`Unsupported file type: ${ext}`)
-}
-
-function pickEventsAb (row) { const v = row.cooc_event_count ?? row.events_ab ?? row.cooc_obs ?? 0; return Number(v) || 0 }
+function pickEventsAb (row) { return Number(row.cooc_event_count) || 0 }
 function pickEventsAe (row) {
   if (row.events_ab_ae != null) return Number(row.events_ab_ae) || 1.0
   if (row.lift != null) return Number(row.lift) || 1.0
@@ -333,13 +214,21 @@ async function loadFieldMap () {
   return []
 }
 
+// Field-map columns are matched to the (mapped) row's columns regardless of case
+function cellOf (row, col) {
+  if (row[col] !== undefined) return row[col]
+  const lc = String(col).toLowerCase()
+  const key = Object.keys(row).find(k => k.toLowerCase() === lc)
+  return key === undefined ? undefined : row[key]
+}
+
 const isCountCategory = (c) => /^(count|counts)$/i.test(String(c || ''))
 const isStatCategory = (c) => /^stat/i.test(String(c || '')) // e.g., 'Stat', 'Statistical'
 
 function buildCreateDataFromRow (row, fieldMap) {
   const data = {}
   for (const m of fieldMap) {
-    const src = row[m.uploadCol]
+    const src = cellOf(row, m.uploadCol)
     if (src === undefined) continue
 
     const field = m.prismaField
@@ -364,7 +253,7 @@ function buildCreateDataFromRow (row, fieldMap) {
 function buildUpdateDataFromRow (existing, row, fieldMap) {
   const data = {}
   for (const m of fieldMap) {
-    const src = row[m.uploadCol]
+    const src = cellOf(row, m.uploadCol)
     if (src === undefined) continue
     const field = m.prismaField
     const fieldLc = String(field || '').toLowerCase()
@@ -388,13 +277,6 @@ function buildUpdateDataFromRow (existing, row, fieldMap) {
   return data
 }
 
-function toIntStrict(v) {
-  const s = String(v).trim();
-  if (!/^-?\d+$/.test(s)) return null;        // reject "123abc", "1.2", "", "I10"
-  const n = Number(s);
-  return Number.isSafeInteger(n) ? n : null;  // guard against > 2^53-1
-}
-
 // ===== OMOP Concept lookup =====
 const conceptCache = new Map()
 async function lookupConceptMeta (conceptId) {
@@ -408,7 +290,7 @@ async function lookupConceptMeta (conceptId) {
     console.log(`[lookupConceptMetaByAny] before not check concept_id=${String(conceptId)}  cid=${String(cid)}  name="${c?.concept_name ?? ''}"  vocabulary_id=${c?.vocabulary_id ?? ''}  concept_class_id=${c?.concept_class_id ?? ''}  domain_id=${c?.domain_id ?? ''}`)  
     if (!c) { conceptCache.set(cid, null); return null }
     console.log(`[lookupConceptMetaByAny] OUT concept_id=${String(conceptId)}  cid=${String(cid)}  name="${c?.concept_name ?? ''}"  vocabulary_id=${c?.vocabulary_id ?? ''}  concept_class_id=${c?.concept_class_id ?? ''}  domain_id=${c?.domain_id ?? ''}`)
-    const meta = { concept_name: c.concept_name || '', vocabulary_id: c.vocabulary_id || '', concept_class_id: c.concept_class_id || '' }
+    const meta = { concept_name: c.concept_name || '', vocabulary_id: c.vocabulary_id || '', concept_class_id: c.concept_class_id || '', domain_id: c.domain_id || '' }
     conceptCache.set(cid, meta)
     return meta
   } catch {
@@ -422,68 +304,48 @@ function coalesceType (metaClassId, uploadType) {
   return typeof n === 'string' ? n : null
 }
 
-// ===== LLM classification (unchanged) =====
-async function classifyRelationship ({ conceptAText, conceptBText, events_ab, events_ab_ae }) {
-  const prompt = (
-    `You are an expert diagnostician skilled at identifying clinical relationships between ICD-10-CM diagnosis concepts.\n` +
-    `Statistical indicators provided:\n` +
-    `- events_ab (co-occurrences): ${events_ab}\n` +
-    `- events_ab_ae (actual-to-expected ratio): ${Number(events_ab_ae ?? 0).toFixed(2)}\n\n` +
-    `Interpretation guidelines:\n` +
-    `- ≥ 2.0: Strong statistical evidence; carefully consider relationships.\n` +
-    `- 1.5–1.99: Moderate evidence; cautious evaluation.\n` +
-    `- 1.0–1.49: Weak evidence; rely primarily on clinical knowledge.\n` +
-    `- < 1.0: Minimal evidence; avoid indirect/speculative claims.\n\n` +
-    `Explicit guidelines to avoid speculation:\n` +
-    `- Direct causation: Only if explicit and clinically accepted.\n` +
-    `  Example: Pneumonia causes cough.\n\n` +
-    `- Indirect causation: Only with explicit and named intermediate diagnosis.\n` +
-    `  Example: Pneumonia → sepsis → acute kidney injury.\n\n` +
-    `- Common cause: Only with clearly documented third diagnosis.\n` +
-    `  Example: Obesity clearly causing both diabetes type 2 and osteoarthritis.\n\n` +
-    `- Treatment-caused: Only if explicitly well-documented.\n` +
-    `  Example: Chemotherapy for cancer causing nausea.\n\n` +
-    `- Similar presentations: Only if clinically documented similarity exists.\n\n` +
-    `- Subset relationship: Explicitly broader or unspecified form.\n\n` +
-    `If evidence or explicit documentation is lacking, choose category 11 (No clear relationship).\n\n` +
-    `Classify explicitly the relationship between:\n` +
-    `- Concept A: ${conceptAText}\n` +
-    `- Concept B: ${conceptBText}\n\n` +
-    `Categories:\n` +
-    `1: A causes B\n2: B causes A\n3: A indirectly causes B (explicit intermediate required)\n4: B indirectly causes A (explicit intermediate required)\n5: A and B share common cause (explicit third condition required)\n6: Treatment of A causes B (explicit treatment documentation required)\n7: Treatment of B causes A (explicit treatment documentation required)\n8: A and B have similar initial presentations\n9: A is subset of B\n10: B is subset of A\n11: No clear relationship (default)\n\n` +
-    `Answer exactly as "<number>: <short description>: <concise rationale>".`
-  )
-
-  console.log('[LLM] model candidates:', MODEL_FALLBACKS.join(', '))
-  let lastErrText = ''
-  for (const model of MODEL_FALLBACKS) {
-    try {
-      const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: { authorization: `Bearer ${process.env.OPENAI_API_KEY}`, 'content-type': 'application/json' },
-        body: JSON.stringify({ model, temperature: 0, messages: [{ role: 'user', content: prompt }] })
-      })
-      if (!resp.ok) {
-        const text = await resp.text().catch(() => '')
-        console.error('[LLM] HTTP error', resp.status, text)
-        lastErrText = text
-        if (resp.status === 403 || resp.status === 404 || /model_not_found/.test(text)) continue
-        break
-      }
-      const data = await resp.json()
-      const reply = data?.choices?.[0]?.message?.content?.trim() || ''
-      const parts = reply.split(': ')
-      const relCode = parseInt(parts[0]?.trim(), 10)
-      const relType = (parts[1] || '').trim() || RELATIONSHIP_TYPES[relCode] || RELATIONSHIP_TYPES[11]
-      const rationalText = (parts.slice(2).join(': ') || '').trim() || '—'
-      const safeCode = Number.isFinite(relCode) ? relCode : 11
-      const usage = data?.usage || {}
-      return { relCode: safeCode, relType, rationalText, usedModel: model, usage }
-    } catch (e) {
-      console.error('[LLM] exception for model', model, e?.message || e)
+// ===== LLM classification =====
+// Prompt text comes from the job's template version (./_llm/prompts.mjs); the classifier appends
+// the JSON reply contract to its system turn.
+
+// LLM_BATCH_SIZE > 1 sends that many pairs per request (see ./_llm/classifier.mjs). Batches are
+// filled from rows already in flight, so it only helps with ROW_CONCURRENCY >= LLM_BATCH_SIZE.
+// With LLM_CONSENSUS_MODELS / LLM_CONSENSUS_SAMPLES set, every pair is classified by several voters
+// instead (./_llm/consensus.mjs) and disagreements are flagged for review.
+const CONSENSUS = consensusConfig()
+const __classifiers = new Map() // prompt version → classifier
+function getClassifier (prompt) {
+  if (!__classifiers.has(prompt.version)) {
+    const options = {
+      provider: getProvider(),
+      limiter: llmRateLimiter,
+      instructions: prompt.system,
+      renderPair: (input) => renderTemplate(prompt.user, pairVariables(input)),
+      batchSize: LLM_BATCH_SIZE,
+      batchWaitMs: LLM_BATCH_WAIT_MS
     }
+    __classifiers.set(prompt.version, CONSENSUS.enabled ? createConsensusClassifier({ ...options, config: CONSENSUS }) : createClassifier(options))
   }
-  return { relCode: 11, relType: RELATIONSHIP_TYPES[11], rationalText: lastErrText ? `LLM error: ${lastErrText.slice(0, 200)}` : 'LLM unavailable', usedModel: MODEL_FALLBACKS[0], usage: {} }
+  return __classifiers.get(prompt.version)
+}
+
+// What Job.model records for a run under the current configuration
+const runModel = () => (CONSENSUS.enabled ? consensusDescriptor(CONSENSUS) : primaryModel())
+
+// Job.model after a run under `model`: each configuration the job ran under, once
+function jobModels (recorded, model) {
+  const list = String(recorded || '').split(', ').filter(Boolean)
+  return (list.includes(model) ? list : [...list, model]).join(', ').slice(0, 255)
+}
+
+// Models whose cached answers may be reused, in preference order
+const cacheModels = () => llmCacheModels(getProvider(), CONSENSUS)
+
+// Returns { relCode, relType, rationalText, intermediate, confidence, usedModel, usage, llmStatus, spend }
+// plus { agreement, votes } under consensus. `spend` is { tokensIn, tokensOut, cents } for job accounting.
+async function classifyRelationship (input, prompt) {
+  const result = await getClassifier(prompt).classify(input)
+  return { ...result, spend: spendOf(result.usageByModel ?? { [result.usedModel]: result.usage }) }
 }
 
 function rowToCsvLine (row, headers) {
@@ -495,58 +357,97 @@ function rowToCsvLine (row, headers) {
   return headers.map((h) => esc(row[h])).join(',')
 }
 
-// Persist outputs blob
-async function persistOutputsBlob(outputsStore, outputBlobKey, mainCsvText) {
-  await outputsStore.set(outputBlobKey, mainCsvText, { contentType: 'text/csv' })
+// Write the rows committed since the last flush as the next output part (see ./_outputs.mjs)
+async function persistOutputPart(outputsStore, outputBlobKey, outputRef) {
+  if (!outputRef.pending) return
+  await writeOutputPart(outputsStore, outputBlobKey, outputRef.parts + 1, outputRef.pending)
+  outputRef.parts += 1
+  outputRef.pending = ''
 }
 
-// Persist llm cache to blob (appends rows)
+// Persist llm cache batch to its own blob under <prefix>/<jobId>/ (the DB LlmCache is what lookups read)
 async function persistLlmCacheBlob(cacheStore, key, llmCacheBatch, llmCacheHeaders) {
   if (!llmCacheBatch || llmCacheBatch.length === 0) return
-  let llmCacheText = (await cacheStore.get(key, { type: 'text' })) || ''
-  const prime = ensureHeader(llmCacheText, llmCacheHeaders)
-  const headers = prime.headers; llmCacheText = prime.csvText
-  for (const cacheRow of llmCacheBatch) llmCacheText += rowToCsvLine(cacheRow, headers) + '\n'
+  let llmCacheText = llmCacheHeaders.join(',') + '\n'
+  for (const cacheRow of llmCacheBatch) llmCacheText += rowToCsvLine(cacheRow, llmCacheHeaders) + '\n'
   await cacheStore.set(key, llmCacheText, { contentType: 'text/csv' })
 }
 
-// Persist llm cache to DB (createMany with upsert fallback)
+// Persist llm cache to DB (createMany with upsert fallback). Only successful classifications are cached:
+// a failed one would otherwise hold the key (createMany never replaces a row) and, when refreshed,
+// overwrite a good answer. Failures still go to the blob log.
 async function persistLlmCacheToDb(llmCacheBatch) {
-  if (!llmCacheBatch || llmCacheBatch.length === 0) return
-  const rowsForDb = llmCacheBatch.map(r => ({
+  const okRows = (llmCacheBatch || []).filter(r => r.llm_status === 'ok')
+  if (okRows.length === 0) return
+  const rowsForDb = okRows.map(r => ({
     promptKey: stablePromptKey(r),
     result: JSON.stringify(r),
     tokensIn: Number.isFinite(+r.prompt_tokens) ? +r.prompt_tokens : null,
     tokensOut: Number.isFinite(+r.completion_tokens) ? +r.completion_tokens : null,
-    model: r.model ?? null
+    model: r.model ?? null,
+    promptVersion: r.prompt_version || null
   }))
+  // Forced re-classifications must replace the cached answer rather than be skipped as duplicates
+  const refreshed = rowsForDb.filter((d, i) => okRows[i].refresh)
   try {
     await prisma.llmCache.createMany({ data: rowsForDb, skipDuplicates: true })
   } catch (e) {
+    refreshed.length = 0
     for (const d of rowsForDb) {
       try {
         await prisma.llmCache.upsert({
           where: { promptKey: d.promptKey },
           create: d,
-          update: { result: d.result, tokensIn: d.tokensIn, tokensOut: d.tokensOut, model: d.model }
+          update: { result: d.result, tokensIn: d.tokensIn, tokensOut: d.tokensOut, model: d.model, promptVersion: d.promptVersion }
         })
       } catch (e2) {
         console.warn('[llmcache.upsert] failed', e2?.message || e2)
       }
     }
   }
+  for (const d of refreshed) {
+    await prisma.llmCache.update({ where: { promptKey: d.promptKey }, data: { result: d.result, tokensIn: d.tokensIn, tokensOut: d.tokensOut, model: d.model, promptVersion: d.promptVersion } })
+      .catch((e) => console.warn('[llmcache.refresh] failed', e?.message || e))
+  }
 }
 
-function ensureHeader (existingCsvText, headersFromSample) {
-  if (existingCsvText && existingCsvText.length > 0) {
-    const firstNl = existingCsvText.indexOf('\n')
-    const headerLine = firstNl >= 0 ? existingCsvText.slice(0, firstNl) : existingCsvText
-    const headers = headerLine.split(',')
-    return { headers, csvText: existingCsvText, headerExists: true }
+const parseJsonOrNull = (s) => { try { return s ? JSON.parse(s) : null } catch { return null } }
+
+// Read-through lookup: reuse a prior successful classification of the same pair/texts under the
+// same prompt version (keyFields.prompt_version), preferring models in provider order. Returns a classifyRelationship-shaped
+// result (plus llmDate) or null.
+async function lookupCachedClassification (keyFields) {
+  const models = cacheModels()
+  const keys = models.map(model => stablePromptKey({ ...keyFields, model }))
+  let hits
+  try {
+    hits = await prisma.llmCache.findMany({ where: { promptKey: { in: keys } } })
+  } catch (e) {
+    console.warn('[llmcache.lookup] failed', e?.message || e)
+    return null
+  }
+  for (const key of keys) {
+    const hit = hits.find(h => h.promptKey === key)
+    if (!hit) continue
+    // Only replay real answers; errors and unparseable replies are classified again
+    const r = reusableCacheResult(hit.result)
+    if (!r) continue
+    const relCode = Number(r.relationship_code)
+    return {
+      relCode,
+      relType: RELATIONSHIP_TYPES[relCode],
+      rationalText: r.rational,
+      intermediate: r.llm_intermediate || null,
+      confidence: r.llm_confidence === '' || r.llm_confidence == null ? null : Number(r.llm_confidence),
+      agreement: r.llm_agreement === '' || r.llm_agreement == null ? null : Number(r.llm_agreement),
+      votes: parseJsonOrNull(r.llm_votes),
+      usedModel: hit.model || r.model,
+      usage: {},
+      llmStatus: 'cached',
+      llmDate: hit.createdAt
+    }
   }
-  const uniq = Array.from(new Set(headersFromSample || []))
-  const headerLine = uniq.join(',') + '\n'
-  return { headers: uniq, csvText: headerLine, headerExists: false }
+  return null
 }
 
 // Coerce numeric fields (case-insensitive) right before DB writes
@@ -569,8 +470,76 @@ async function findMasterByPairId(pairId) {
   }
 }
 
+// MasterRecord.status for rows whose classification is not a real answer.
+// 'llm_error' rows were never classified and are sent to the LLM again the next time the pair is seen.
+const MARKER_STATUS = { parse_error: 'parse_error', error: 'llm_error' }
+
+// Marker first; otherwise consensus answers the voters disagreed on go to human review
+const recordStatus = ({ llmStatus, agreement, votes }) =>
+  MARKER_STATUS[llmStatus] ?? (needsReview({ agreement, votes }) ? 'needs_review' : null)
+
+// Statuses recordStatus sets; anything else (proposed, accepted, rejected, ...) was set by the review workflow
+const LLM_RECORD_STATUSES = new Set([...Object.values(MARKER_STATUS), 'needs_review'])
+const isWorkflowStatus = (status) => status != null && !LLM_RECORD_STATUSES.has(status)
+
+// Classification fields written when an llm_error record is retried
+function reclassificationUpdate({ relCode, relType, rationalText, intermediate, confidence, agreement, votes, llmStatus, usedModel, promptVersion }) {
+  return sanitizeForMasterRecord({
+    relationshipType: relType,
+    relationshipCode: Number(relCode),
+    rational: rationalText,
+    llm_intermediate: intermediate ?? null,
+    llm_confidence: confidence ?? null,
+    llm_name: getProvider().label,
+    llm_version: usedModel || primaryModel(),
+    llm_date: new Date(),
+    llm_agreement: agreement ?? null,
+    llm_votes: votes ?? Prisma.DbNull,
+    prompt_version: promptVersion ?? null,
+    status: recordStatus({ llmStatus, agreement, votes })
+  })
+}
+
+// ===== Contribution ledger =====
+// Every upload row that creates or adds to a MasterRecord leaves a MasterRecordContribution (jobId, rowIndex,
+// pairId, counts added) written in the same transaction. Rows after the last checkpoint are processed again
+// when a run dies; a row that already has its entry leaves the counts alone instead of adding them twice.
+
+// Count fields a MasterRecord write adds to the record: { field: amount }, source_count included
+const LEDGER_COUNT_FIELDS = new Set([...INT_FIELDS].filter(f => f !== 'relationshipcode'))
+function countDeltas (data, existing = null) {
+  const counts = {}
+  for (const [k, v] of Object.entries(data)) {
+    if (!LEDGER_COUNT_FIELDS.has(k.toLowerCase())) continue
+    const d = numOrZero(v) - numOrZero(existing?.[k])
+    if (d) counts[k] = d
+  }
+  return counts
+}
+
+// Rows of this job at or after `offset` that an earlier run already counted
+async function loadCountedRows (jobId, offset) {
+  const rows = await prisma.masterRecordContribution.findMany({ where: { jobId, rowIndex: { gte: offset } }, select: { rowIndex: true } })
+  return new Set(rows.map(r => r.rowIndex))
+}
+
+// The record write and its ledger entry commit together. A duplicate entry means another run counted the
+// row first; the transaction is rolled back and the record keeps that run's counts.
+async function writeWithContribution (recordWrite, { jobId, rowIndex, pairId, created = false, counts }) {
+  try {
+    await prisma.$transaction([
+      recordWrite,
+      prisma.masterRecordContribution.create({ data: { jobId, rowIndex, pairId, created, counts } })
+    ])
+  } catch (e) {
+    if (e?.code !== 'P2002' || !String(e?.meta?.target ?? '').includes('rowIndex')) throw e
+    console.warn(`[ledger] job ${jobId} row ${rowIndex} (${pairId}) was already counted; record left unchanged`)
+  }
+}
+
 // Handle creating a new masterRecord from a row
-async function handleNewRecord({ row, pairId, concept_a_name, concept_b_name, code_a, code_b, system_a_eff, system_b_eff, type_a_eff, type_b_eff, relCode, relType, rationalText, usedModel, fieldMap, job }) {
+async function handleNewRecord({ row, pairId, concept_a_name, concept_b_name, code_a, code_b, system_a_eff, system_b_eff, type_a_eff, type_b_eff, relCode, relType, rationalText, intermediate, confidence, agreement, votes, llmStatus, usedModel, llmDate, promptVersion, fieldMap, job, rowIndex }) {
+  const status = recordStatus({ llmStatus, agreement, votes })
   const baseCreateRaw = {
     pairId,
     concept_a: concept_a_name,
@@ -584,24 +553,60 @@ async function handleNewRecord({ row, pairId, concept_a_name, concept_b_name, co
     relationshipType: relType,
     relationshipCode: Number(relCode),
     rational: rationalText,
-    llm_name: 'OpenAI',
-    llm_version: usedModel || PRIMARY_MODEL,
-    llm_date: new Date(),
+    llm_intermediate: intermediate ?? null,
+    llm_confidence: confidence ?? null,
+    llm_name: getProvider().label,
+    llm_version: usedModel || primaryModel(),
+    llm_date: llmDate ?? new Date(),
+    llm_agreement: agreement ?? null,
+    ...(votes ? { llm_votes: votes } : {}),
+    prompt_version: promptVersion ?? null,
     source_count: 1,
+    // Unparseable replies and failed calls are flagged so they are not mistaken for a genuine "No clear relationship"
+    ...(status ? { status } : {}),
   }
   const baseCreate = sanitizeForMasterRecord(baseCreateRaw)
   const mappedCreate = fieldMap.length ? buildCreateDataFromRow(row, fieldMap) : {}
-  const BLOCK = new Set(['pairId','relationshipType','relationshipCode','rational','llm_name','llm_version','llm_date','source_count','concept_a','concept_b','system_a','system_b','type_a','type_b','code_a','code_b'])
+  const BLOCK = new Set(['pairId','relationshipType','relationshipCode','rational','llm_name','llm_version','llm_date','llm_intermediate','llm_confidence','llm_agreement','llm_votes','prompt_version','status','source_count','concept_a','concept_b','system_a','system_b','type_a','type_b','code_a','code_b'])
   const guarded = {}
   for (const [k,v] of Object.entries(mappedCreate)) if (!BLOCK.has(k)) guarded[k] = v
   const tempCreate = coerceTypesInPlace({ ...baseCreate, ...guarded })
   const statsCreate = computeStatisticalFields(tempCreate)
   const createData = coerceTypesInPlace({ ...tempCreate, ...statsCreate })
-  await prisma.masterRecord.create({ data: createData })
+  await writeWithContribution(prisma.masterRecord.create({ data: createData }), { jobId: job.id, rowIndex, pairId, created: true, counts: countDeltas(createData) })
+}
+
+// Handle updating existing masterRecord. Returns false when the record no longer exists (a retraction
+// deleted it meanwhile); the caller then treats the pair as new.
+// The counts are added to the record as read under a row lock (SELECT … FOR UPDATE) in the same transaction
+// as the write, so a retraction or another worker changing the pair meanwhile is waited for, not overwritten.
+async function handleExistingRecord({ existing, row, pairId, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap, reclassified = null, contribution }) {
+  // Counted by an earlier run of this job: only a retried classification is written
+  if (contribution.counted) {
+    if (reclassified) {
+      await prisma.masterRecord.update({ where: { pairId: existing.pairId }, data: { ...coerceTypesInPlace(reclassificationUpdate(reclassified)), updatedAt: new Date() } })
+    }
+    return true
+  }
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const [locked] = await tx.$queryRaw`SELECT "pairId" FROM "MasterRecord" WHERE "pairId" = ${pairId} FOR UPDATE`
+      if (!locked) return false
+      const current = await tx.masterRecord.findUnique({ where: { pairId } })
+      const data = existingRecordUpdate({ existing: current, row, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap, reclassified })
+      await tx.masterRecord.update({ where: { pairId }, data })
+      await tx.masterRecordContribution.create({ data: { jobId: contribution.jobId, rowIndex: contribution.rowIndex, pairId, created: false, counts: countDeltas(data, current) } })
+      return true
+    })
+  } catch (e) {
+    if (e?.code !== 'P2002' || !String(e?.meta?.target ?? '').includes('rowIndex')) throw e
+    console.warn(`[ledger] job ${contribution.jobId} row ${contribution.rowIndex} (${pairId}) was already counted; record left unchanged`)
+    return true
+  }
 }
 
-// Handle updating existing masterRecord
-async function handleExistingRecord({ existing, row, pairId, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap }) {
+// The update that adds a row to `existing`: its counts, names and recomputed statistics
+function existingRecordUpdate({ existing, row, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap, reclassified }) {
   let mappedUpdate = fieldMap.length ? buildUpdateDataFromRow(existing, row, fieldMap) : {
     cooc_event_count: numOrZero(existing?.cooc_event_count) + numOrZero(row.cooc_event_count),
     source_count: numOrZero(existing?.source_count) + 1
@@ -614,6 +619,7 @@ async function handleExistingRecord({ existing, row, pairId, concept_a_name, con
     system_b: system_b_eff || existing.system_b,
     ...(typeof type_a_eff === 'string' ? { type_a: type_a_eff } : {}),
     ...(typeof type_b_eff === 'string' ? { type_b: type_b_eff } : {}),
+    ...(reclassified ? reclassificationUpdate(reclassified) : {}),
     updatedAt: new Date()
   }
   const getNum = (...vals) => { for (const v of vals) if (v !== undefined && v !== null) return Number(v) || 0; return 0 }
@@ -630,76 +636,108 @@ async function handleExistingRecord({ existing, row, pairId, concept_a_name, con
   const statsUpdate = computeStatisticalFields(totals)
   mappedUpdate = { ...mappedUpdate, ...statsUpdate }
 
-  await prisma.masterRecord.update({ where: existing?.id ? { id: existing.id } : { pairId }, data: coerceTypesInPlace(mappedUpdate) })
+  return coerceTypesInPlace(mappedUpdate)
 }
 
 // Process a single row: lookup concepts, decide LLM, create/update masterRecord, return enriched row and optional llmCacheRow
-async function processRow({ row, offset, fieldMap, job }) {
-  const system_a_raw = String(row.system_a ?? '').trim()
-  const system_b_raw = String(row.system_b ?? '').trim()
-  const code_a_raw = String(row.code_a ?? row.concept_a ?? '').trim()
-  const code_b_raw = String(row.code_b ?? row.concept_b ?? '').trim()
+// `counted`: the contribution ledger already holds this row (see loadCountedRows)
+async function processRow({ row, offset, fieldMap, job, prompt, counted = false }) {
   const type_a_raw = row.type_a
   const type_b_raw = row.type_b
 
-  const [metaA, metaB] = await Promise.all([ lookupConceptMeta(code_a_raw), lookupConceptMeta(code_b_raw) ])
+  const [metaA, metaB] = await Promise.all([
+    lookupConceptMeta(String(row.concept_a ?? '').trim()),
+    lookupConceptMeta(String(row.concept_b ?? '').trim())
+  ])
+  const { code_a, code_b, system_a: system_a_eff, system_b: system_b_eff, concept_a_t: concept_a_name, concept_b_t: concept_b_name, pairId } = pairIdentity(row, metaA, metaB)
+  const concept_a_code = String(row.concept_a ?? '')
+  const concept_b_code = String(row.concept_b ?? '')
 
-  const code_a = code_a_raw
-  const code_b = code_b_raw
-  
-  const concept_a_name = (metaA?.concept_name || '').trim()
-  const concept_a_code = String(row.concept_a ?? code_a_raw)
-
-  const concept_b_name = (metaB?.concept_name || '').trim()
-  const concept_b_code = String(row.concept_b ?? code_b_raw)
-
-  const system_a_eff = metaA ? "OMOP" : String(system_a_raw ?? "").trim()
-  const system_b_eff = metaB ? "OMOP" : String(system_b_raw ?? "").trim()
   const type_a_eff = coalesceType(metaA?.concept_class_id, type_a_raw)
   const type_b_eff = coalesceType(metaB?.concept_class_id, type_b_raw)
 
-  const pairId = makePairId({ system_a: system_a_eff, code_a, system_b: system_b_eff, code_b })
-
-  const existing = await findMasterByPairId(pairId)
-
-  let relCode, relType, rationalText, usedModel, usage
+  let relCode, relType, rationalText, intermediate, confidence, llmStatus, usedModel, usage, llmDate
+  let agreement = null, votes = null
+  let spend = NO_SPEND
+  let promptVersion = prompt.version
   let llmCacheRow = null
 
-  if (!existing) {
-    const events_ab = pickEventsAb(row)
-    const events_ab_ae = pickEventsAe(row)
-    const liftVal = Number(row.lift)
-    const shouldLLM = Number.isFinite(liftVal) && liftVal > LIFT_MIN_FOR_LLM
+  // From the existence check to the MasterRecord write, rows for the same pair take turns:
+  // the second one sees the record the first created instead of creating a duplicate.
+  const events_ab = pickEventsAb(row)
+  const events_ab_ae = pickEventsAe(row)
+  const shouldLLM = passesLiftThreshold(row)
+  // The domains pick the prompt variant, so drug and procedure pairs get matching guidance
+  const domainA = conceptDomain({ domainId: metaA?.domain_id, uploadType: type_a_raw })
+  const domainB = conceptDomain({ domainId: metaB?.domain_id, uploadType: type_b_raw })
+  const promptVariantKey = promptVariant(domainA, domainB).key
+  const classifyInput = {
+    conceptAText: concept_a_name, conceptBText: concept_b_name, events_ab, events_ab_ae,
+    domainA, domainB, classA: metaA?.concept_class_id, classB: metaB?.concept_class_id
+  }
 
-    if (shouldLLM) {
-      const cls = await classifyRelationship({ conceptAText: concept_a_name, conceptBText: concept_b_name, events_ab, events_ab_ae })
-      ;({ relCode, relType, rationalText, usedModel, usage } = cls)
-    } else {
-      relCode = 11
-      relType = RELATIONSHIP_TYPES[11]
-      rationalText = 'Skipped LLM: lift ≤ threshold'
-      usedModel = PRIMARY_MODEL
-      usage = {}
-    }
+  const makeCacheRow = () => ({
+    timestamp: new Date().toISOString(), jobId: job.id, uploadId: job.uploadId, userId: job.userId, rowIndex: String(offset), pairId,
+    system_a: system_a_eff, code_a, system_b: system_b_eff, code_b, concept_a_t: concept_a_name, concept_b_t: concept_b_name,
+    model: usedModel || primaryModel(), relationship_code: String(relCode), relationship_type: relType,
+    rational: rationalText, llm_intermediate: intermediate ?? '', llm_confidence: confidence ?? '', llm_status: llmStatus, prompt_version: promptVersion, prompt_variant: promptVariantKey,
+    llm_agreement: agreement ?? '', llm_votes: votes ? JSON.stringify(votes) : '',
+    prompt_tokens: String(usage?.prompt_tokens ?? ''), completion_tokens: String(usage?.completion_tokens ?? ''), total_tokens: String(usage?.total_tokens ?? ''),
+    refresh: Boolean(job.forceRefresh)
+  })
+
+  const contribution = { jobId: job.id, rowIndex: offset, counted }
+
+  // Runs again from the top when the record was deleted (retracted) between the read and the write
+  const writePair = async () => {
+    const existing = await findMasterByPairId(pairId)
+
+    if (!existing) {
+      const cacheKeyFields = { pairId, system_a: system_a_eff, code_a, system_b: system_b_eff, code_b, concept_a_t: concept_a_name, concept_b_t: concept_b_name, prompt_version: prompt.version, prompt_variant: promptVariantKey }
+      const cached = shouldLLM && !job.forceRefresh ? await lookupCachedClassification(cacheKeyFields) : null
+
+      if (cached) {
+        ;({ relCode, relType, rationalText, intermediate, confidence, agreement, votes, llmStatus, usedModel, usage, llmDate } = cached)
+      } else if (shouldLLM) {
+        const cls = await classifyRelationship(classifyInput, prompt)
+        ;({ relCode, relType, rationalText, intermediate, confidence, agreement = null, votes = null, llmStatus, usedModel, usage, spend } = cls)
+      } else {
+        relCode = 11
+        relType = RELATIONSHIP_TYPES[11]
+        rationalText = 'Skipped LLM: lift ≤ threshold'
+        intermediate = null
+        confidence = null
+        llmStatus = 'skipped'
+        usedModel = primaryModel()
+        usage = {}
+        promptVersion = null
+      }
 
-    await handleNewRecord({ row, pairId, concept_a_name, concept_b_name, code_a, code_b, system_a_eff, system_b_eff, type_a_eff, type_b_eff, relCode, relType, rationalText, usedModel, fieldMap, job })
+      await handleNewRecord({ row, pairId, concept_a_name, concept_b_name, code_a, code_b, system_a_eff, system_b_eff, type_a_eff, type_b_eff, relCode, relType, rationalText, intermediate, confidence, agreement, votes, llmStatus, usedModel, llmDate, promptVersion, fieldMap, job, rowIndex: offset })
 
-    if (Number.isFinite(Number(row.lift)) && Number(row.lift) > LIFT_MIN_FOR_LLM) {
-      llmCacheRow = {
-        timestamp: new Date().toISOString(), jobId: job.id || jobId, uploadId: job.uploadId, userId: job.userId, rowIndex: String(offset), pairId,
-        system_a: system_a_eff, code_a, system_b: system_b_eff, code_b, concept_a_t: concept_a_name, concept_b_t: concept_b_name,
-        model: usedModel || PRIMARY_MODEL, relationship_code: String(relCode), relationship_type: relType,
-        prompt_tokens: String(usage?.prompt_tokens ?? ''), completion_tokens: String(usage?.completion_tokens ?? ''), total_tokens: String(usage?.total_tokens ?? '')
-      }
+      // Only fresh model calls are logged; cache hits cost nothing
+      if (shouldLLM && !cached) llmCacheRow = makeCacheRow()
+    } else if (existing.status === MARKER_STATUS.error && shouldLLM) {
+      // Earlier attempt never reached the model: classify now and overwrite the placeholder
+      const cls = await classifyRelationship(classifyInput, prompt)
+      ;({ relCode, relType, rationalText, intermediate, confidence, agreement = null, votes = null, llmStatus, usedModel, usage, spend } = cls)
+      llmCacheRow = makeCacheRow()
+      if (!(await handleExistingRecord({ existing, row, pairId, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap, reclassified: { ...cls, promptVersion }, contribution }))) return writePair()
+    } else {
+      relCode = Number(existing.relationshipCode ?? 11) || 11
+      relType = String(existing.relationshipType ?? RELATIONSHIP_TYPES[11])
+      rationalText = String(existing.rational ?? '')
+      intermediate = existing.llm_intermediate ?? null
+      confidence = existing.llm_confidence ?? null
+      agreement = existing.llm_agreement ?? null
+      llmStatus = 'existing'
+      usedModel = existing.llm_version || primaryModel()
+      promptVersion = existing.prompt_version ?? null
+
+      if (!(await handleExistingRecord({ existing, row, pairId, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap, contribution }))) return writePair()
     }
-  } else {
-    relCode = Number(existing.relationshipCode ?? 11) || 11
-    relType = String(existing.relationshipType ?? RELATIONSHIP_TYPES[11])
-    rationalText = String(existing.rational ?? '')
-    usedModel = existing.llm_version || PRIMARY_MODEL
-
-    await handleExistingRecord({ existing, row, pairId, concept_a_name, concept_b_name, system_a_eff, system_b_eff, type_a_eff, type_b_eff, fieldMap })
   }
+  await withPairLock(pairId, writePair)
 
   const enriched = {
     ...row,
@@ -713,141 +751,425 @@ async function processRow({ row, offset, fieldMap, job }) {
     type_b: typeof type_b_eff === 'string' ? type_b_eff : '',
     relationship_type: relType,
     relationship_code: String(relCode),
-    rational: rationalText
+    rational: rationalText,
+    llm_intermediate: intermediate ?? '',
+    llm_confidence: confidence ?? '',
+    llm_status: llmStatus,
+    llm_agreement: agreement ?? '',
+    prompt_version: promptVersion ?? '',
+    prompt_variant: promptVariantKey
   }
 
-  return { enriched, llmCacheRow }
+  return { enriched, llmCacheRow, spend }
+}
+
+// ===== Reclassification jobs =====
+// Rows are MasterRecord pairIds snapshotted by admin-reclassify. Each pair is classified again with the
+// job's prompt; a valid answer replaces the stored one and the previous answer goes to MasterRecordHistory.
+// Failed calls keep the previous answer. Records a human has reviewed are never touched.
+const hasHumanOverride = (rec) => Boolean(rec.human_date || rec.human_reviewer)
+
+async function reclassifyRow({ row, offset, job, prompt }) {
+  const pairId = String(row.pairId ?? '').trim()
+  let llmCacheRow = null
+  let spend = NO_SPEND
+  let out = { pairId, llm_status: 'missing' }
+
+  await withPairLock(pairId, async () => {
+    const existing = pairId ? await findMasterByPairId(pairId) : null
+    if (!existing) return
+
+    const previous = {
+      previous_relationship_code: String(existing.relationshipCode ?? ''),
+      previous_relationship_type: existing.relationshipType ?? '',
+      previous_llm_version: existing.llm_version ?? '',
+      previous_prompt_version: existing.prompt_version ?? ''
+    }
+    out = { pairId, concept_a: existing.concept_a ?? '', concept_b: existing.concept_b ?? '', ...previous }
+    if (hasHumanOverride(existing)) {
+      out = { ...out, llm_status: 'human_override', changed: 'false' }
+      return
+    }
+
+    const [metaA, metaB] = await Promise.all([lookupConceptMeta(existing.code_a), lookupConceptMeta(existing.code_b)])
+    const domainA = conceptDomain({ domainId: metaA?.domain_id, uploadType: existing.type_a })
+    const domainB = conceptDomain({ domainId: metaB?.domain_id, uploadType: existing.type_b })
+    const promptVariantKey = promptVariant(domainA, domainB).key
+    const cls = await classifyRelationship({
+      conceptAText: existing.concept_a ?? '', conceptBText: existing.concept_b ?? '',
+      events_ab: pickEventsAb(existing), events_ab_ae: pickEventsAe(existing),
+      domainA, domainB, classA: metaA?.concept_class_id, classB: metaB?.concept_class_id
+    }, prompt)
+    const { relCode, relType, rationalText, intermediate, confidence, agreement = null, votes = null, llmStatus, usedModel, usage } = cls
+    spend = cls.spend
+
+    const replace = llmStatus === 'ok'
+    if (replace) {
+      await prisma.$transaction([
+        prisma.masterRecordHistory.create({
+          data: {
+            pairId,
+            jobId: job.id,
+            relationshipType: existing.relationshipType,
+            relationshipCode: existing.relationshipCode,
+            rational: existing.rational,
+            llm_intermediate: existing.llm_intermediate,
+            llm_confidence: existing.llm_confidence,
+            llm_agreement: existing.llm_agreement,
+            llm_votes: existing.llm_votes ?? Prisma.DbNull,
+            llm_date: existing.llm_date,
+            llm_name: existing.llm_name,
+            llm_version: existing.llm_version,
+            prompt_version: existing.prompt_version,
+            status: existing.status
+          }
+        }),
+        prisma.masterRecord.update({
+          where: { pairId },
+          data: {
+            ...coerceTypesInPlace(reclassificationUpdate({ ...cls, promptVersion: prompt.version })),
+            // A review decision outlives the new answer
+            ...(isWorkflowStatus(existing.status) ? { status: existing.status } : {}),
+            updatedAt: new Date()
+          }
+        })
+      ])
+    }
+
+    llmCacheRow = {
+      timestamp: new Date().toISOString(), jobId: job.id, uploadId: job.uploadId, userId: job.userId, rowIndex: String(offset), pairId,
+      system_a: existing.system_a ?? '', code_a: existing.code_a, system_b: existing.system_b ?? '', code_b: existing.code_b,
+      concept_a_t: existing.concept_a ?? '', concept_b_t: existing.concept_b ?? '',
+      model: usedModel || primaryModel(), relationship_code: String(relCode), relationship_type: relType,
+      rational: rationalText, llm_intermediate: intermediate ?? '', llm_confidence: confidence ?? '', llm_status: llmStatus,
+      prompt_version: prompt.version, prompt_variant: promptVariantKey,
+      llm_agreement: agreement ?? '', llm_votes: votes ? JSON.stringify(votes) : '',
+      prompt_tokens: String(usage?.prompt_tokens ?? ''), completion_tokens: String(usage?.completion_tokens ?? ''), total_tokens: String(usage?.total_tokens ?? ''),
+      // A good answer replaces whatever the cache held for this prompt/model; a failed one is never cached
+      refresh: llmStatus === 'ok'
+    }
+    out = {
+      ...out,
+      relationship_code: String(relCode),
+      relationship_type: relType,
+      rational: rationalText,
+      llm_intermediate: intermediate ?? '',
+      llm_confidence: confidence ?? '',
+      llm_agreement: agreement ?? '',
+      llm_status: llmStatus,
+      llm_version: usedModel || primaryModel(),
+      prompt_version: prompt.version,
+      prompt_variant: promptVariantKey,
+      changed: String(replace && Number(relCode) !== Number(existing.relationshipCode))
+    }
+  })
+
+  return { enriched: out, llmCacheRow, spend }
 }
 
-// Flush helper used inside loop
-async function flushIfNeeded({ now, start, processedThisRun, lastFlush, outputsStore, outputBlobKey, mainCsvTextRef, cacheStore, llmCacheBatch, llmCacheHeaders, jobId }) {
+// Every column a reclassification output row can have, so the header written from the first row covers all of them
+const RECLASSIFY_OUTPUT_HEADERS = [
+  'pairId', 'concept_a', 'concept_b',
+  'previous_relationship_code', 'previous_relationship_type', 'previous_llm_version', 'previous_prompt_version',
+  'relationship_code', 'relationship_type', 'rational', 'llm_intermediate', 'llm_confidence', 'llm_agreement',
+  'llm_status', 'llm_version', 'prompt_version', 'prompt_variant', 'changed'
+]
+
+// Job.resumeFrom for the rows committed so far: where the next row starts in a CSV upload (Excel has no position)
+const resumePosition = (outputRef) => (outputRef.nextLine != null ? { resumeFrom: { rows: outputRef.rowsProcessed, line: outputRef.nextLine } } : {})
+
+// Flush helper used inside loop. `lease` is the run's { where, renew }: nothing is written once another worker holds the job.
+async function flushIfNeeded({ now, start, processedThisRun, lastFlush, outputsStore, outputBlobKey, outputRef, cacheStore, llmCacheKey, llmCacheBatch, llmCacheHeaders, lease, totals }) {
   const timeUp = now - start > MAX_RUN_MS - 15_000
   const needFlush = processedThisRun % FLUSH_EVERY_ROWS === 0 || now - lastFlush > FLUSH_EVERY_MS || timeUp
   if (!needFlush) return { needFlush: false, timeUp: false }
-  await persistOutputsBlob(outputsStore, outputBlobKey, mainCsvTextRef.value)
+  if (!(await lease.renew())) return { needFlush: false, timeUp, leaseLost: true }
+  await persistOutputPart(outputsStore, outputBlobKey, outputRef)
   if (llmCacheBatch.length > 0) {
-    await persistLlmCacheBlob(cacheStore, LLM_CACHE_BLOB_KEY, llmCacheBatch, llmCacheHeaders)
+    await persistLlmCacheBlob(cacheStore, llmCacheKey(), llmCacheBatch, llmCacheHeaders)
     await persistLlmCacheToDb(llmCacheBatch)
     llmCacheBatch.length = 0
   }
-  await prisma.job.update({ where: { id: jobId }, data: { rowsProcessed: mainCsvTextRef.rowsProcessed, outputBlobKey, lastHeartbeat: new Date() } })
+  await prisma.job.updateMany({ where: lease.where, data: { rowsProcessed: outputRef.rowsProcessed, ...resumePosition(outputRef), outputBlobKey, outputParts: outputRef.parts, lastHeartbeat: new Date(), ...totals } })
   return { needFlush: true, timeUp }
 }
 
+// Each invocation claims one job from the queue (see the queue section of ./_jobs.mjs) and works on it
+// under a lease until it finishes, stops or yields.
 export default async (req) => {
+  const WORKER_ID = randomUUID()
+  const RUN_STARTED_AT = Date.now()
+  // Set once a job is claimed; the failure handler only touches a job this invocation holds
+  let jobId = null
+  // JobEvents of this run carry its worker id as runId; runSummary() becomes the slice's counts once rows are read
+  const runEvent = (type, details = {}) => recordJobEvent(prisma, jobId, type, { runId: WORKER_ID, ...details })
+  let runSummary = () => ({ rows: 0, llmErrors: 0, durationMs: Date.now() - RUN_STARTED_AT })
+  let renewTimer = null
   try {
     if (req.method !== 'POST') return new Response('Method Not Allowed', { status: 405, headers: { 'content-type': 'text/plain; charset=utf-8' } })
-    const { jobId } = await req.json()
-    if (!jobId) return new Response(JSON.stringify({ error: 'Missing jobId' }), { status: 400, headers: { 'content-type': 'application/json' } })
-
-    const RUN_STARTED_AT = Date.now()
-    let __lastBeat = 0
-    const __beat = async (processedCount) => {
-      const now = Date.now()
-      if (now - __lastBeat >= 20_000) {
-        await prisma.job.update({ where: { id: jobId }, data: { rowsProcessed: processedCount, lastHeartbeat: new Date() } })
-        __lastBeat = now
-      }
-    }
+    // Dispatched workers take the next job in the queue; a jobId in the body claims that job only
+    const { jobId: wanted = null } = await req.json().catch(() => ({}))
+    jobId = await claimJob(prisma, { workerId: WORKER_ID, jobId: wanted })
+    if (!jobId) return new Response(JSON.stringify({ ok: true, status: 'idle' }), { status: 202, headers: { 'content-type': 'application/json' } })
+
+    // Job writes of this run go through the lease, so a worker that lost it cannot overwrite the next one's progress
+    const lease = { where: { id: jobId, lockedBy: WORKER_ID }, renew: () => renewLease(prisma, jobId, WORKER_ID) }
 
     const job = await prisma.job.findUnique({ where: { id: jobId } })
-    if (!job) return new Response(JSON.stringify({ error: 'Job not found' }), { status: 404, headers: { 'content-type': 'application/json' } })
-    if (job.status === 'completed' || job.status === 'failed') return new Response(JSON.stringify({ ok: true, status: job.status }), { status: 202, headers: { 'content-type': 'application/json' } })
+    await runEvent('started', { rowsProcessed: job.rowsProcessed || 0, attempt: job.attempts })
+
+    // The run's own status changes apply only while it holds the job and it is still 'running' (a pause or
+    // cancel wins); each of them releases the lease
+    const setRunStatus = async (data) => (await prisma.job.updateMany({ where: { ...lease.where, status: 'running' }, data: { ...data, ...RELEASE_LEASE } })).count > 0
+    let stopRequested = null
+    let lastControlCheck = Date.now()
+    const checkControl = async ({ now = false } = {}) => {
+      if (!now && Date.now() - lastControlCheck < CONTROL_POLL_MS) return
+      lastControlCheck = Date.now()
+      const current = await prisma.job.findUnique({ where: { id: jobId }, select: { status: true, lockedBy: true } })
+      // A pause, cancel or resume leaves the lease with this run, so it still writes what it has before stopping
+      if (current?.lockedBy !== WORKER_ID) stopRequested = LEASE_LOST
+      else if (current.status !== 'running') stopRequested = STOPPED_STATUSES.includes(current.status) ? current.status : RESUMED
+    }
 
-    await prisma.job.update({ where: { id: jobId }, data: { status: 'running', startedAt: job.startedAt ?? new Date(), lastHeartbeat: new Date() } })
+    // The heartbeat renews the lease independently of row results, which arrive in order and can wait on one
+    // slow row. rowsProcessed itself only moves with a flush, so it never runs ahead of the stored output parts
+    renewTimer = setInterval(() => {
+      lease.renew()
+        .then((held) => (held ? null : checkControl({ now: true })))
+        .catch((e) => console.warn(`[process-upload-background] job ${jobId}: lease renewal failed:`, e?.message || e))
+    }, LEASE_RENEW_MS)
 
     const upload = await prisma.upload.findUnique({ where: { id: job.uploadId } })
     if (!upload) throw new Error('Upload record not found')
+    // Older jobs were created without userId; their upload's owner owns them (and pays for them)
+    const ownerId = job.userId ?? upload.userId ?? null
 
     const uploadsStore = getStore('uploads')
     const outputsStore = getStore('outputs')
     const cacheStore = getStore(LLM_CACHE_STORE)
 
-    const buffer = await uploadsStore.get(upload.blobKey, { type: 'arrayBuffer' })
-    if (!buffer) throw new Error('Uploaded blob not found')
-
-    const rows = parseUploadBufferToRows(buffer, upload.originalName || upload.blobKey)
     const fieldMap = await loadFieldMap()
+    getProvider() // fail fast on LLM misconfiguration, before any rows are touched
 
-    const rowsTotal = job.rowsTotal && job.rowsTotal > 0 ? job.rowsTotal : rows.length
-    if (rowsTotal !== job.rowsTotal) await prisma.job.update({ where: { id: jobId }, data: { rowsTotal } })
+    // A job keeps the prompt version it started with, even if another version is activated meanwhile
+    const prompt = await loadPrompt(prisma, job.promptVersion)
+    if (job.promptVersion !== prompt.version) await prisma.job.updateMany({ where: lease.where, data: { promptVersion: prompt.version } })
+    const model = jobModels(job.model, runModel())
+    if (model !== job.model) await prisma.job.updateMany({ where: lease.where, data: { model } })
+
+    // rowsTotal is counted at upload; jobs created before that learn it when the file has been read through
+    let rowsTotal = job.rowsTotal && job.rowsTotal > 0 ? job.rowsTotal : null
 
     let offset = job.rowsProcessed || 0
-    if (offset >= rowsTotal) {
-      await prisma.job.update({ where: { id: jobId }, data: { status: 'completed', finishedAt: new Date(), lastHeartbeat: new Date() } })
+    if (rowsTotal != null && offset >= rowsTotal) {
+      if (await setRunStatus({ status: 'completed', finishedAt: new Date(), lastHeartbeat: new Date() })) await runEvent('completed', { ...runSummary(), rowsProcessed: offset })
       return new Response(JSON.stringify({ ok: true, status: 'completed' }), { status: 202, headers: { 'content-type': 'application/json' } })
     }
 
-    const outputBlobKey = job.outputBlobKey || `outputs/${jobId}.csv`
-    if (!job.outputBlobKey) await prisma.job.update({ where: { id: jobId }, data: { outputBlobKey } })
+    // Output goes to append-only parts; an output begun as a single blob becomes the first part
+    const outputBlobKey = isPartPrefix(job.outputBlobKey) ? job.outputBlobKey : outputPrefix(jobId)
+    const outputRef = { pending: '', parts: isPartPrefix(job.outputBlobKey) ? job.outputParts || 0 : 0, rowsProcessed: offset }
+    let mainHeader = await readOutputHeader(outputsStore, outputBlobKey)
+    if (job.outputBlobKey && !isPartPrefix(job.outputBlobKey)) {
+      const legacy = (await outputsStore.get(job.outputBlobKey, { type: 'text' })) || ''
+      const nl = legacy.indexOf('\n')
+      if (nl >= 0) {
+        mainHeader = legacy.slice(0, nl).split(',')
+        await writeOutputHeader(outputsStore, outputBlobKey, mainHeader)
+        outputRef.pending = legacy.slice(nl + 1)
+        await persistOutputPart(outputsStore, outputBlobKey, outputRef)
+      }
+    }
+    if (outputBlobKey !== job.outputBlobKey) await prisma.job.updateMany({ where: lease.where, data: { outputBlobKey, outputParts: outputRef.parts } })
 
-    let mainCsvText = (await outputsStore.get(outputBlobKey, { type: 'text' })) || ''
-    let llmCacheText = null
-    const llmCacheHeaders = ['timestamp','jobId','uploadId','userId','rowIndex','pairId','system_a','code_a','system_b','code_b','concept_a_t','concept_b_t','model','relationship_code','relationship_type','prompt_tokens','completion_tokens','total_tokens']
+    const llmCacheHeaders = ['timestamp','jobId','uploadId','userId','rowIndex','pairId','system_a','code_a','system_b','code_b','concept_a_t','concept_b_t','model','relationship_code','relationship_type','rational','llm_intermediate','llm_confidence','llm_status','prompt_version','prompt_variant','llm_agreement','llm_votes','prompt_tokens','completion_tokens','total_tokens']
     const llmCacheBatch = []
+    let llmCacheSeq = 0
+    const llmCacheKey = () => `${LLM_CACHE_LOG_PREFIX}/${jobId}/${RUN_STARTED_AT}-${llmCacheSeq++}.csv`
 
     const start = Date.now()
     let lastFlush = Date.now()
     let processedThisRun = 0
-    let mainHeader = null
-
-    const mainCsvTextRef = { value: mainCsvText, rowsProcessed: 0 }
+    let llmErrorsThisRun = 0
+    let rowsAtLastFlush = 0
+    runSummary = () => ({ rows: processedThisRun, llmErrors: llmErrorsThisRun, durationMs: Date.now() - RUN_STARTED_AT, rowsProcessed: outputRef.rowsProcessed })
+
+    // Token/cost totals: what earlier runs stored plus the rows this run has committed (cents unrounded)
+    const runSpend = { tokensIn: 0, tokensOut: 0, cents: 0 }
+    const spendTotals = () => ({
+      tokensIn: (job.tokensIn || 0) + runSpend.tokensIn,
+      tokensOut: (job.tokensOut || 0) + runSpend.tokensOut,
+      costCents: (job.costCents || 0) + runSpend.cents
+    })
+    // Spend since the last write goes to this month's JobSpend whenever the totals are written
+    const recordedSpend = { tokensIn: 0, tokensOut: 0, cents: 0 }
+    const recordRunSpend = async () => {
+      const delta = { tokensIn: runSpend.tokensIn - recordedSpend.tokensIn, tokensOut: runSpend.tokensOut - recordedSpend.tokensOut, cents: runSpend.cents - recordedSpend.cents }
+      Object.assign(recordedSpend, runSpend)
+      await recordSpend(prisma, { jobId, userId: ownerId }, delta)
+    }
 
-    for (; offset < rowsTotal; offset++) {
-      const { enriched, llmCacheRow } = await processRow({ row: rows[offset], offset, fieldMap, job })
-      if (!mainHeader) {
-        const prime = ensureHeader(mainCsvTextRef.value, Object.keys(enriched))
-        mainHeader = prime.headers; mainCsvTextRef.value = prime.csvText
+    // Monthly budget of the job's owner; this month's spend (this job's earlier runs included) is read once per run
+    const budgetCents = await monthlyBudgetCents(prisma, ownerId)
+    const spentBeforeRun = budgetCents != null ? await monthSpendCents(prisma, ownerId) : 0
+    const monthSpent = () => spentBeforeRun + runSpend.cents
+    const overBudget = () => budgetCents != null && monthSpent() >= budgetCents
+    const pauseForBudget = async () => {
+      const error = `${BUDGET_PAUSE_PREFIX}: ${formatCents(monthSpent())} of ${formatCents(budgetCents)} monthly budget used (paused at row ${outputRef.rowsProcessed}). Raise the budget to resume.`
+      console.warn(`[process-upload-background] job ${jobId}: ${error}`)
+      if (await setRunStatus({ status: 'queued', lastHeartbeat: new Date(), error })) await runEvent('paused', { ...runSummary(), reason: 'budget', error })
+      return new Response(JSON.stringify({ ok: true, status: 'queued', paused: true, error }), { status: 202, headers: { 'content-type': 'application/json' } })
+    }
+    if (overBudget()) return pauseForBudget()
+
+    // A CSV upload is read from the line the last checkpoint recorded (Job.resumeFrom); Excel workbooks, and
+    // CSV jobs checkpointed before positions were stored, are read from the start and the rows before the
+    // offset are skipped unread. Upload rows are renamed by the job's column mapping; jobs queued before
+    // mappings were stored get the mapping the header names suggest. Rows quarantined by the upload
+    // validation are skipped by the indexes it stored (quarantinedRowsKey); jobs from before those were
+    // stored re-run the validation over every row from the first (so duplicate pairs resolve the same way)
+    // and read the file from the start. Job.sourceOptions picks the sheet(s) and header row.
+    const countedRows = job.kind === 'reclassify' ? new Set() : await loadCountedRows(jobId, offset)
+    if (countedRows.size) console.info(`[process-upload-background] job ${jobId}: ${countedRows.size} row(s) after the checkpoint were already counted`)
+    const mapsColumns = job.kind !== 'reclassify'
+    let mapping = mapsColumns ? job.columnMapping : null
+    const quarantined = mapsColumns && job.rowsRejected > 0 ? await outputsStore.get(quarantinedRowsKey(jobId), { type: 'json' }) : null
+    const rejectedRows = quarantined ? new Set(quarantined) : null
+    const validator = mapsColumns && job.rowsRejected > 0 && !rejectedRows ? createRowValidator({ mapping: mapping || {} }) : null
+    const resumeLine = !validator && offset > 0 && job.resumeFrom?.rows === offset ? job.resumeFrom.line : null
+    const source = uploadRows(uploadsStore, upload.blobKey, upload.originalName || upload.blobKey, job.sourceOptions || {}, { fromLine: resumeLine })
+    let rowsRead = resumeLine != null ? offset : 0
+    let inputDone = false
+    const nextRow = async () => {
+      for (;;) {
+        const { value: raw, done } = await source.next()
+        if (done) { inputDone = true; return null }
+        const index = rowsRead++
+        if (index < offset && !validator) continue
+        if (mapsColumns) mapping ??= suggestColumnMapping(Object.keys(raw))
+        const row = mapsColumns ? mapRow(raw, mapping) : raw
+        const invalid = rejectedRows ? rejectedRows.has(index) : validator ? validator.check(row, index, raw[ROW_SOURCE]).length > 0 : false
+        if (index >= offset) return { row, offset: index, invalid, nextLine: raw[ROW_SOURCE]?.next ?? null }
       }
-      mainCsvTextRef.value += rowToCsvLine(enriched, mainHeader) + '\n'
-
-      if (llmCacheRow) llmCacheBatch.push(llmCacheRow)
-
-      processedThisRun += 1
-      mainCsvTextRef.rowsProcessed = offset + 1
-      const now = Date.now()
-
-      if ((offset + 1) % 25 === 0) await __beat(offset + 1)
+    }
 
-      const { needFlush, timeUp } = await flushIfNeeded({ now, start, processedThisRun, lastFlush, outputsStore, outputBlobKey, mainCsvTextRef, cacheStore, llmCacheBatch, llmCacheHeaders, jobId })
-      if (needFlush) lastFlush = Date.now()
-      if (timeUp) break
+    // Up to ROW_CONCURRENCY rows are processed at once, but results are committed in row order,
+    // so rowsProcessed only ever covers a contiguous prefix of the file.
+    let timeUp = false
+    let llmOutage = null
+    let budgetExceeded = false
+    await runOrderedPool({
+      concurrency: ROW_CONCURRENCY,
+      next: nextRow,
+      shouldStop: () => timeUp || budgetExceeded || stopRequested != null,
+      worker: async ({ row, offset, invalid }) => {
+        if (invalid) return { enriched: null, llmCacheRow: null, spend: NO_SPEND }
+        return job.kind === 'reclassify'
+          ? reclassifyRow({ row, offset, job, prompt })
+          : processRow({ row, offset, fieldMap, job, prompt, counted: countedRows.has(offset) })
+      },
+      onResult: async ({ enriched, llmCacheRow, spend }, { offset, nextLine }) => {
+        if (enriched) {
+          if (!mainHeader) {
+            mainHeader = Array.from(new Set(job.kind === 'reclassify' ? RECLASSIFY_OUTPUT_HEADERS : Object.keys(enriched)))
+            await writeOutputHeader(outputsStore, outputBlobKey, mainHeader)
+          }
+          outputRef.pending += rowToCsvLine(enriched, mainHeader) + '\n'
+        }
+
+        if (llmCacheRow) llmCacheBatch.push(llmCacheRow)
+        runSpend.tokensIn += spend.tokensIn
+        runSpend.tokensOut += spend.tokensOut
+        runSpend.cents += spend.cents
+
+        processedThisRun += 1
+        if (MARKER_STATUS[enriched?.llm_status]) llmErrorsThisRun += 1
+        outputRef.rowsProcessed = offset + 1
+        outputRef.nextLine = nextLine
+        const now = Date.now()
+
+        await checkControl()
+
+        const flushed = await flushIfNeeded({ now, start, processedThisRun, lastFlush, outputsStore, outputBlobKey, outputRef, cacheStore, llmCacheKey, llmCacheBatch, llmCacheHeaders, lease, totals: spendTotals() })
+        // The renewal fails on a pause or cancel too; the status tells which
+        if (flushed.leaseLost) await checkControl({ now: true })
+        if (flushed.needFlush) {
+          lastFlush = Date.now()
+          await recordRunSpend()
+          await runEvent('flushed', { rows: processedThisRun - rowsAtLastFlush, rowsProcessed: outputRef.rowsProcessed, part: outputRef.parts })
+          rowsAtLastFlush = processedThisRun
+        }
+        if (flushed.needFlush && overBudget()) budgetExceeded = true
+        if (flushed.timeUp) timeUp = true
+      }
+    }).catch((e) => {
+      // Rows delivered before the failure are kept; the job resumes from there later
+      if (e instanceof LlmUnavailableError) llmOutage = e
+      else throw e
+    }).finally(() => source.return())
+
+    // Another worker has the job and continues from the last checkpoint; this run writes nothing more
+    if (stopRequested === LEASE_LOST) {
+      console.warn(`[process-upload-background] job ${jobId}: lease lost at row ${outputRef.rowsProcessed}, stopping`)
+      await runEvent('lease_lost', runSummary())
+      return new Response(JSON.stringify({ ok: true, status: LEASE_LOST }), { status: 202, headers: { 'content-type': 'application/json' } })
     }
 
-    await persistOutputsBlob(outputsStore, outputBlobKey, mainCsvTextRef.value)
+    await persistOutputPart(outputsStore, outputBlobKey, outputRef)
     if (llmCacheBatch.length > 0) {
-      await persistLlmCacheBlob(cacheStore, LLM_CACHE_BLOB_KEY, llmCacheBatch, llmCacheHeaders)
+      await persistLlmCacheBlob(cacheStore, llmCacheKey(), llmCacheBatch, llmCacheHeaders)
       await persistLlmCacheToDb(llmCacheBatch)
     }
 
-    await prisma.job.update({ where: { id: jobId }, data: { rowsProcessed: mainCsvTextRef.rowsProcessed, outputBlobKey, lastHeartbeat: new Date() } })
+    if (inputDone && rowsTotal !== rowsRead) rowsTotal = rowsRead
+    await prisma.job.updateMany({ where: lease.where, data: { rowsProcessed: outputRef.rowsProcessed, ...resumePosition(outputRef), rowsTotal, outputBlobKey, outputParts: outputRef.parts, lastHeartbeat: new Date(), ...spendTotals() } })
+    await recordRunSpend()
+
+    // Paused or cancelled: everything committed so far is stored; the status stays as requested. Resumed
+    // meanwhile: the job is queued again and waits only for this lease, so the next worker starts now
+    if (stopRequested) {
+      await prisma.job.updateMany({ where: lease.where, data: RELEASE_LEASE })
+      await runEvent('stopped', { ...runSummary(), status: stopRequested })
+      console.info(`[process-upload-background] job ${jobId} ${stopRequested} at row ${outputRef.rowsProcessed}`)
+      if (stopRequested === RESUMED) await dispatchWorkers(prisma, { label: 'process-upload-background' })
+      return new Response(JSON.stringify({ ok: true, status: stopRequested }), { status: 202, headers: { 'content-type': 'application/json' } })
+    }
+
+    if (llmOutage) {
+      const rowsDone = outputRef.rowsProcessed
+      console.warn(`[process-upload-background] pausing job ${jobId} at row ${rowsDone}:`, llmOutage.message)
+      if (await setRunStatus({ status: 'queued', lastHeartbeat: new Date(), error: `${LLM_PAUSE_PREFIX} ${rowsDone}: ${llmOutage.message}`.slice(0, 2000) })) {
+        await runEvent('paused', { ...runSummary(), reason: 'llm outage', error: llmOutage.message })
+      }
+      return new Response(JSON.stringify({ ok: true, status: 'queued', paused: true }), { status: 202, headers: { 'content-type': 'application/json' } })
+    }
 
-    if (mainCsvTextRef.rowsProcessed >= rowsTotal) {
-      await prisma.job.update({ where: { id: jobId }, data: { status: 'completed', finishedAt: new Date(), lastHeartbeat: new Date() } })
+    if (rowsTotal != null && outputRef.rowsProcessed >= rowsTotal) {
+      if (await setRunStatus({ status: 'completed', finishedAt: new Date(), lastHeartbeat: new Date() })) await runEvent('completed', runSummary())
       return new Response(JSON.stringify({ ok: true, status: 'completed' }), { status: 202, headers: { 'content-type': 'application/json' } })
     }
 
-    await prisma.job.update({ where: { id: jobId }, data: { status: 'queued', lastHeartbeat: new Date() } })
+    if (budgetExceeded) return pauseForBudget()
 
-    try {
-      const host = req.headers.get('x-forwarded-host')
-      const proto = req.headers.get('x-forwarded-proto') || 'https'
-      const origin = process.env.URL || (host ? `${proto}://${host}` : '')
-      if (origin) {
-        await fetch(`${origin}/.netlify/functions/process-upload-background`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ jobId }) })
-      }
-    } catch (e) {
-      console.warn('[self-chain] failed to re-invoke background function:', e?.message || e)
+    // Out of run time: back in the queue without a lease. A fresh invocation picks up the queue head,
+    // which may be another job.
+    if (!(await setRunStatus({ status: 'queued', lastHeartbeat: new Date() }))) {
+      return new Response(JSON.stringify({ ok: true, status: 'stopped' }), { status: 202, headers: { 'content-type': 'application/json' } })
     }
+    await runEvent('yielded', runSummary())
+    await dispatchWorkers(prisma, { label: 'process-upload-background' })
 
-    return new Response(JSON.stringify({ ok: true, status: 'running' }), { status: 202, headers: { 'content-type': 'application/json' } })
+    return new Response(JSON.stringify({ ok: true, status: 'queued' }), { status: 202, headers: { 'content-type': 'application/json' } })
   } catch (err) {
     console.error('[process-upload-background] ERROR', err)
     try {
       const body = typeof err?.message === 'string' ? err.message : String(err)
-      const bid = (await (async()=>{try{const b=await req.json();return b?.jobId}catch{return null}})()) || ''
-      await prisma.job.update({ where: { id: bid }, data: { status: 'failed', lastHeartbeat: new Date(), error: body?.slice?.(0, 2000) || '' } })
+      const failed = jobId && (await prisma.job.updateMany({ where: { id: jobId, lockedBy: WORKER_ID, status: 'running' }, data: { status: 'failed', lastHeartbeat: new Date(), error: body?.slice?.(0, 2000) || '', ...RELEASE_LEASE } })).count
+      if (failed) await runEvent('failed', { ...runSummary(), error: body?.slice?.(0, 2000) || '' })
     } catch {}
     return new Response(JSON.stringify({ error: String(err?.message ?? err) }), { status: 500, headers: { 'content-type': 'application/json' } })
+  } finally {
+    clearInterval(renewTimer)
   }
 }
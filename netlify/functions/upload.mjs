@@ -1,11 +1,29 @@
 // upload.mjs — Three-step direct-to-Blobs upload flow
 // 1️⃣ GET → Issue signed upload URL for client to PUT the file.
 // 2️⃣ POST → Client notifies after upload to create Upload + Job records.
+//    POST { columns: true, ... } first returns the file's headers, a few sample rows and a suggested
+//    column mapping (from header names or the user's presets, see _columns.mjs). Later POSTs send the
+//    confirmed `columnMapping`; without one the suggestion is used. The job stores the mapping it ran with.
+//    Workbooks list their sheets there too; POSTs pick `sheets` ([{ name, headerRow }]) and a `sheetMode`
+//    ('separate': one job per sheet, 'merged': one job over all of them). CSV uploads may send `headerRow`
+//    when the table starts below a few title lines.
+//    POST { estimate: true, ... } first returns a pre-flight estimate (rows, LLM calls, tokens,
+//    cost, runtime) and an `estimateToken` without creating anything; the Dashboard asks the user to
+//    confirm it. The POST that creates the job(s) must send that estimateToken back (409 otherwise), and
+//    it only matches the same file, sheets, column mapping, forceRefresh and user.
+//    Both steps validate the file (see _validate.mjs). Rows that fail validation reject the upload
+//    (422 with a per-row report) unless the POST sends invalidRows: 'quarantine', which queues the
+//    job without them and keeps the report downloadable from the job.
 // Includes structured debug logging and robust validation.
 
 import { getStore } from '@netlify/blobs'
 import { PrismaClient } from '@prisma/client'
 import { requireUser } from './_admin-gate.mjs'
+import { dispatchWorkers, recordJobEvent } from './_jobs.mjs'
+import { isExcelName, listSheets, uploadRows, ROW_SOURCE } from './_uploads.mjs'
+import { estimateUpload, estimateFields, estimateToken, checkEstimateToken } from './_estimate.mjs'
+import { createRowValidator, mergeValidationResults, quarantinedRowsKey, validationReportCsv, validationSummary } from './_validate.mjs'
+import { fieldList, mapRow, resolveColumnMapping, suggestColumnMapping, suggestFromPresets } from './_columns.mjs'
 
 console.log('[upload] Three-step upload flow enabled')
 
@@ -21,6 +39,47 @@ function corsHeaders() {
   }
 }
 
+// Several workbook sheets become one job each ('separate') or one job reading them in order ('merged')
+const SHEET_MODES = ['separate', 'merged']
+
+const headerRowOf = (v) => Math.max(1, Math.floor(Number(v)) || 1)
+
+/**
+ * What each job created from this upload reads (Job.sourceOptions, see uploadRows in _uploads.mjs):
+ * CSV → [{ headerRow }]; Excel → one { sheets } per job. An empty object reads the defaults.
+ */
+function sourceGroups ({ originalName, sheets, sheetMode, headerRow }) {
+  if (!isExcelName(originalName)) return [headerRowOf(headerRow) > 1 ? { headerRow: headerRowOf(headerRow) } : {}]
+  const picked = (Array.isArray(sheets) ? sheets : [])
+    .filter(s => typeof s?.name === 'string' && s.name)
+    .map(s => ({ name: s.name, headerRow: headerRowOf(s.headerRow) }))
+  if (!picked.length) return [{}]
+  return sheetMode === 'separate' ? picked.map(s => ({ sheets: [s] })) : [{ sheets: picked }]
+}
+
+// Validate one job's rows: { mapping, mappingErrors, validation, estimateRows }. The mapping is resolved
+// against the first row's headers, so merged sheets have to share the first sheet's columns.
+async function scanSource (store, { blobKey, originalName, source, columnMapping, wantEstimate }) {
+  let validator = null
+  let mapping = null
+  let mappingErrors = []
+  const estimateRows = []
+  let index = 0
+  for await (const raw of uploadRows(store, blobKey, originalName, source)) {
+    if (!mapping) {
+      const headers = Object.keys(raw)
+      ;({ mapping, errors: mappingErrors } = resolveColumnMapping(columnMapping ?? suggestColumnMapping(headers), headers))
+      if (mappingErrors.length) break
+      validator = createRowValidator({ mapping })
+    }
+    const row = mapRow(raw, mapping)
+    const problems = validator.check(row, index++, raw[ROW_SOURCE])
+    if (!validator.result.ok) break
+    if (wantEstimate && !problems.length) estimateRows.push(estimateFields(row))
+  }
+  return { mapping, mappingErrors, validation: (validator ?? createRowValidator()).finish(), estimateRows }
+}
+
 export default async (req) => {
   console.log('[upload] BUILD CHECK using @netlify/blobs@10.0.10');
 
@@ -84,7 +143,7 @@ export default async (req) => {
       }
 
       console.info('[upload POST] Parsed body:', body)
-      const { blobKey, originalName, contentType, size } = body
+      const { blobKey, originalName, contentType, size, forceRefresh, estimate, estimateToken: confirmedEstimate, invalidRows, columns, columnMapping, sheets, sheetMode, headerRow } = body
 
       if (!blobKey || !originalName) {
         return new Response(JSON.stringify({ ok: false, error: 'Missing blobKey or originalName' }), {
@@ -92,6 +151,12 @@ export default async (req) => {
           headers: { ...corsHeaders(), 'content-type': 'application/json' }
         })
       }
+      if (sheetMode != null && !SHEET_MODES.includes(sheetMode)) {
+        return new Response(JSON.stringify({ ok: false, error: `sheetMode must be one of: ${SHEET_MODES.join(', ')}` }), {
+          status: 400,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
 
       // Get authenticated user
       let user = null
@@ -103,6 +168,122 @@ export default async (req) => {
       }
 
       const userId = user?.sub || null
+      const store = getStore(process.env.UPLOADS_STORE || 'uploads')
+      const groups = sourceGroups({ originalName, sheets, sheetMode, headerRow })
+
+      // Column mapping step: sheets, headers, sample rows and a suggested mapping
+      if (columns === true || columns === 'true') {
+        let sheetList = null
+        let source = groups[0]
+        const sample = []
+        try {
+          sheetList = await listSheets(store, blobKey, originalName)
+          // Without a chosen sheet, show the first one from the header row detected on it
+          if (sheetList && !source.sheets) source = { sheets: [{ name: sheetList[0].name, headerRow: sheetList[0].headerRow }] }
+          for await (const row of uploadRows(store, blobKey, originalName, { sheets: source.sheets?.slice(0, 1), headerRow: source.headerRow })) {
+            sample.push(row)
+            if (sample.length >= 3) break
+          }
+        } catch (err) {
+          return new Response(JSON.stringify({ ok: false, error: `Could not read file: ${err.message}` }), {
+            status: 400,
+            headers: { ...corsHeaders(), 'content-type': 'application/json' }
+          })
+        }
+        if (!sample.length) {
+          return new Response(JSON.stringify({ ok: false, error: 'The file has no data rows', sheets: sheetList }), {
+            status: 400,
+            headers: { ...corsHeaders(), 'content-type': 'application/json' }
+          })
+        }
+        const headers = Object.keys(sample[0])
+        const presets = userId
+          ? await prisma.columnMappingPreset.findMany({ where: { userId }, orderBy: { updatedAt: 'desc' }, select: { name: true, mapping: true, updatedAt: true } })
+          : []
+        const suggestion = suggestFromPresets(headers, presets)
+        return new Response(JSON.stringify({
+          ok: true,
+          sheets: sheetList,
+          sheet: source.sheets?.[0]?.name ?? null,
+          headerRow: source.sheets?.[0]?.headerRow ?? source.headerRow ?? 1,
+          headers,
+          sample,
+          fields: fieldList(),
+          mapping: suggestion.mapping,
+          preset: suggestion.preset,
+          presets
+        }), {
+          status: 200,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
+
+      // Stream and validate the uploaded file (through the column mapping) before anything is created,
+      // one pass per job it will become; an estimate also keeps the few fields it needs from each valid row
+      const wantEstimate = estimate === true || estimate === 'true'
+      const scans = []
+      try {
+        for (const source of groups) {
+          const scan = await scanSource(store, { blobKey, originalName, source, columnMapping, wantEstimate })
+          if (scan.mappingErrors.length) {
+            const where = source.sheets?.length === 1 ? `Sheet "${source.sheets[0].name}": ` : ''
+            return new Response(JSON.stringify({ ok: false, error: `${where}Column mapping: ${scan.mappingErrors.join('; ')}`, mappingErrors: scan.mappingErrors }), {
+              status: 400,
+              headers: { ...corsHeaders(), 'content-type': 'application/json' }
+            })
+          }
+          scans.push({ source, ...scan })
+        }
+      } catch (err) {
+        return new Response(JSON.stringify({ ok: false, error: `Could not read file: ${err.message}` }), {
+          status: 400,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
+      const validation = mergeValidationResults(scans.map(s => s.validation))
+      const report = validation.missingColumns.length || validation.rowsInvalid ? validationReportCsv(validation) : null
+      if (!validation.ok) {
+        const error = validation.missingColumns.length
+          ? `Missing required column(s): ${validation.missingColumns.join(', ')}`
+          : validation.warnings[0]
+        return new Response(JSON.stringify({ ok: false, error, validation: validationSummary(validation), report }), {
+          status: 400,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
+      const quarantine = invalidRows === 'quarantine'
+      const work = { blobKey, userId, jobs: scans, forceRefresh: forceRefresh === true || forceRefresh === 'true' }
+
+      // Estimate only: project the job(s) over the valid rows without queuing anything
+      if (wantEstimate) {
+        const rows = scans.flatMap(s => s.estimateRows)
+        const result = await estimateUpload(prisma, { rows, forceRefresh: work.forceRefresh, userId })
+        console.info('[upload POST] Estimate for', blobKey, result)
+        return new Response(JSON.stringify({ ok: true, estimate: { ...result, jobs: scans.length }, estimateToken: estimateToken(work), validation: validationSummary(validation), report }), {
+          status: 200,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
+
+      if (!checkEstimateToken(confirmedEstimate, work)) {
+        return new Response(JSON.stringify({ ok: false, error: 'Confirm an estimate of this upload first (POST with estimate: true and send its estimateToken back)' }), {
+          status: 409,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
+
+      if (validation.rowsInvalid && !quarantine) {
+        return new Response(JSON.stringify({
+          ok: false,
+          error: `${validation.rowsInvalid} of ${validation.rowsTotal} row(s) failed validation`,
+          validation: validationSummary(validation),
+          report
+        }), {
+          status: 422,
+          headers: { ...corsHeaders(), 'content-type': 'application/json' }
+        })
+      }
+
       if (userId) {
         await prisma.user.upsert({
           where: { id: userId },
@@ -123,31 +304,41 @@ export default async (req) => {
         }
       })
 
-      // Create Job record
-      const jobRow = await prisma.job.create({
-        data: {
-          uploadId: uploadRow.id,
-          status: 'queued',
-          rowsProcessed: 0
+      // One Job per sheet group, each with its own validation report
+      const jobIds = []
+      for (const scan of scans) {
+        const jobRow = await prisma.job.create({
+          data: {
+            uploadId: uploadRow.id,
+            userId,
+            status: 'queued',
+            rowsProcessed: 0,
+            rowsTotal: scan.validation.rowsTotal,
+            columnMapping: scan.mapping,
+            sourceOptions: Object.keys(scan.source).length ? scan.source : undefined,
+            // Skip the LLM cache and classify every new pair again
+            forceRefresh: work.forceRefresh,
+            rowsRejected: scan.validation.rowsInvalid
+          }
+        })
+        jobIds.push(jobRow.id)
+        await recordJobEvent(prisma, jobRow.id, 'queued', { rowsTotal: scan.validation.rowsTotal, rowsRejected: scan.validation.rowsInvalid })
+
+        // Quarantined rows: keep the report with the job's outputs, and their indexes for the worker
+        if (scan.validation.rowsInvalid) {
+          const validationBlobKey = `validation/${jobRow.id}.csv`
+          await getStore('outputs').set(validationBlobKey, validationReportCsv(scan.validation), { contentType: 'text/csv' })
+          await getStore('outputs').setJSON(quarantinedRowsKey(jobRow.id), Array.from(scan.validation.invalidRows).sort((a, b) => a - b))
+          await prisma.job.update({ where: { id: jobRow.id }, data: { validationBlobKey } })
         }
-      })
+      }
 
-      console.info('[upload POST] Created Upload:', uploadRow.id, 'Job:', jobRow.id)
+      console.info('[upload POST] Created Upload:', uploadRow.id, 'Jobs:', jobIds.join(', '))
 
-      // Trigger process-upload-background function
-      try {
-        const base = process.env.URL || process.env.DEPLOY_URL || process.env.NETLIFY_BASE_URL || 'https://taxis2.netlify.app'
-        const trigger = await fetch(`${base}/.netlify/functions/process-upload-background`, {
-          method: 'POST',
-          headers: { 'content-type': 'application/json' },
-          body: JSON.stringify({ jobId: jobRow.id })
-        })
-        console.info('[upload POST] Triggered background job, status:', trigger.status)
-      } catch (err) {
-        console.error('[upload POST] Failed to trigger background job:', err)
-      }
+      // Start workers now rather than at the next dispatcher tick
+      await dispatchWorkers(prisma, { label: 'upload POST' })
 
-      return new Response(JSON.stringify({ ok: true, uploadId: uploadRow.id, jobId: jobRow.id }), {
+      return new Response(JSON.stringify({ ok: true, uploadId: uploadRow.id, jobId: jobIds[0], jobIds, rowsRejected: validation.rowsInvalid }), {
         status: 200,
         headers: { ...corsHeaders(), 'content-type': 'application/json' }
       })
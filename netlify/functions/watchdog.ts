@@ -2,24 +2,31 @@
 import { schedule } from '@netlify/functions'
 import { prisma } from './_db.mjs'
 
+// Same default as LEASE_MS in ./_jobs.mjs
+const LEASE_MS = Number(process.env.JOB_LEASE_MS || 5 * 60 * 1000)
+
+// Puts jobs whose worker died back in the queue; process-queue-scheduled.mjs starts workers for them.
+// Jobs paused by the LLM circuit breaker need nothing here: they become claimable once LLM_PAUSE_MS has passed.
 export const handler = schedule('* * * * *', async () => {
-  const STALE_MS = 2 * 60 * 1000
-  const cutoff = new Date(Date.now() - STALE_MS)
+  const cutoff = new Date(Date.now() - LEASE_MS)
 
-  // Find “running” jobs with stale or missing heartbeat
+  // “running” jobs whose lease was not renewed in time (or, from before leases, whose heartbeat is stale)
   const stale = await prisma.job.findMany({
     where: {
       status: 'running',
-      OR: [{ lastHeartbeat: null }, { lastHeartbeat: { lt: cutoff } }]
+      OR: [
+        { lockedAt: { lt: cutoff } },
+        { lockedAt: null, OR: [{ lastHeartbeat: null }, { lastHeartbeat: { lt: cutoff } }] }
+      ]
     },
-    select: { id: true, cursor: true, rowsProcessed: true }
+    select: { id: true, cursor: true, rowsProcessed: true, lockedAt: true, lockedBy: true, lastHeartbeat: true }
   })
 
-  if (!stale.length) return { statusCode: 200, body: 'ok' }
-
+  let requeued = 0
   for (const j of stale) {
-    await prisma.job.update({
-      where: { id: j.id },
+    // Conditional on the lease seen above, so a worker that renewed it meanwhile keeps its job
+    const res = await prisma.job.updateMany({
+      where: { id: j.id, status: 'running', lockedAt: j.lockedAt },
       data: {
         status: 'queued',
         cursor: Math.max(j.cursor ?? 0, j.rowsProcessed ?? 0),
@@ -28,14 +35,18 @@ export const handler = schedule('* * * * *', async () => {
         lockedBy: null
       }
     })
-    // Kick the background worker
-    const base =
-      process.env.URL || process.env.DEPLOY_URL || 'https://taxis2.netlify.app'
-    await fetch(`${base}/.netlify/functions/process-upload-background`, {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ jobId: j.id })
-    }).catch(() => {})
+    requeued += res.count
+    if (res.count) {
+      // Same JobEvent as recordJobEvent in ./_jobs.mjs writes; runId is the worker that lost the job
+      await prisma.jobEvent.create({
+        data: {
+          jobId: j.id,
+          type: 'requeued',
+          runId: j.lockedBy,
+          details: { by: 'watchdog', rowsProcessed: j.rowsProcessed ?? 0, lastHeartbeat: j.lastHeartbeat, lockedAt: j.lockedAt }
+        }
+      }).catch((err: any) => console.warn(`[job-events] could not record requeued for job ${j.id}:`, err?.message || err))
+    }
   }
-  return { statusCode: 200, body: `requeued ${stale.length}` }
+  return { statusCode: 200, body: `requeued ${requeued}` }
 })
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "MasterRecord" ADD COLUMN     "llm_intermediate" VARCHAR(255),
+ADD COLUMN     "llm_confidence" DECIMAL(5,4);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "forceRefresh" BOOLEAN NOT NULL DEFAULT false;
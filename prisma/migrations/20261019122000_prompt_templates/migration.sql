@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "promptVersion" VARCHAR(32);
+
+-- AlterTable
+ALTER TABLE "MasterRecord" ADD COLUMN     "prompt_version" VARCHAR(32);
+
+-- AlterTable
+ALTER TABLE "LlmCache" ADD COLUMN     "promptVersion" VARCHAR(32);
+
+-- CreateTable
+CREATE TABLE "PromptTemplate" (
+    "id" TEXT NOT NULL,
+    "version" VARCHAR(32) NOT NULL,
+    "system" TEXT NOT NULL,
+    "user" TEXT NOT NULL,
+    "notes" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT false,
+    "createdBy" VARCHAR(255),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "activatedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PromptTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromptTemplate_version_key" ON "PromptTemplate"("version");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "MasterRecord" ADD COLUMN     "llm_agreement" DECIMAL(5,4),
+ADD COLUMN     "llm_votes" JSONB;
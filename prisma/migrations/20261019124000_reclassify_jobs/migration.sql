@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "JobKind" AS ENUM ('upload', 'reclassify');
+
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "kind" "JobKind" NOT NULL DEFAULT 'upload',
+ADD COLUMN     "filter" JSONB;
+
+-- CreateTable
+CREATE TABLE "MasterRecordHistory" (
+    "id" TEXT NOT NULL,
+    "pairId" TEXT NOT NULL,
+    "jobId" TEXT,
+    "relationshipType" VARCHAR(64) NOT NULL,
+    "relationshipCode" INTEGER NOT NULL,
+    "rational" TEXT,
+    "llm_intermediate" VARCHAR(255),
+    "llm_confidence" DECIMAL(5,4),
+    "llm_agreement" DECIMAL(5,4),
+    "llm_votes" JSONB,
+    "llm_date" TIMESTAMP(3),
+    "llm_name" VARCHAR(100),
+    "llm_version" VARCHAR(50),
+    "prompt_version" VARCHAR(32),
+    "status" VARCHAR(12),
+    "replacedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MasterRecordHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MasterRecordHistory_pairId_idx" ON "MasterRecordHistory"("pairId");
+
+-- CreateIndex
+CREATE INDEX "MasterRecordHistory_jobId_idx" ON "MasterRecordHistory"("jobId");
+
+-- AddForeignKey
+ALTER TABLE "MasterRecordHistory" ADD CONSTRAINT "MasterRecordHistory_pairId_fkey" FOREIGN KEY ("pairId") REFERENCES "MasterRecord"("pairId") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "rowsRejected" INTEGER,
+ADD COLUMN     "validationBlobKey" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "outputParts" INTEGER NOT NULL DEFAULT 0;
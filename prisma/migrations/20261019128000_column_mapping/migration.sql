@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "columnMapping" JSONB;
+
+-- CreateTable
+CREATE TABLE "ColumnMappingPreset" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "mapping" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ColumnMappingPreset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ColumnMappingPreset_userId_name_key" ON "ColumnMappingPreset"("userId", "name");
+
+-- AddForeignKey
+ALTER TABLE "ColumnMappingPreset" ADD CONSTRAINT "ColumnMappingPreset_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "MasterRecordContribution" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "rowIndex" INTEGER NOT NULL,
+    "pairId" TEXT NOT NULL,
+    "created" BOOLEAN NOT NULL DEFAULT false,
+    "counts" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MasterRecordContribution_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MasterRecordContribution_jobId_rowIndex_key" ON "MasterRecordContribution"("jobId", "rowIndex");
+
+-- CreateIndex
+CREATE INDEX "MasterRecordContribution_pairId_idx" ON "MasterRecordContribution"("pairId");
+
+-- AddForeignKey
+ALTER TABLE "MasterRecordContribution" ADD CONSTRAINT "MasterRecordContribution_pairId_fkey" FOREIGN KEY ("pairId") REFERENCES "MasterRecord"("pairId") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "errorHistory" JSONB;
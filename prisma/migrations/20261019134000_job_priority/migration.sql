@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "claimedAt" TIMESTAMP(3),
+ADD COLUMN     "priority" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Job" ALTER COLUMN "costCents" SET DATA TYPE DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "JobSpend" (
+    "jobId" TEXT NOT NULL,
+    "month" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT,
+    "tokensIn" INTEGER NOT NULL DEFAULT 0,
+    "tokensOut" INTEGER NOT NULL DEFAULT 0,
+    "costCents" DOUBLE PRECISION NOT NULL DEFAULT 0,
+
+    CONSTRAINT "JobSpend_pkey" PRIMARY KEY ("jobId","month")
+);
+
+-- CreateIndex
+CREATE INDEX "JobSpend_userId_month_idx" ON "JobSpend"("userId", "month");
+
+-- AddForeignKey
+ALTER TABLE "JobSpend" ADD CONSTRAINT "JobSpend_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing spend: attributed to the month the job was created, the only time known for it
+INSERT INTO "JobSpend" ("jobId", "month", "userId", "tokensIn", "tokensOut", "costCents")
+SELECT "id", date_trunc('month', "createdAt"), "userId", COALESCE("tokensIn", 0), COALESCE("tokensOut", 0), COALESCE("costCents", 0)
+FROM "Job"
+WHERE COALESCE("tokensIn", 0) > 0 OR COALESCE("tokensOut", 0) > 0 OR COALESCE("costCents", 0) > 0;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Job_status_idx" ON "Job"("status");
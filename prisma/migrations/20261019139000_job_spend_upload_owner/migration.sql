@@ -0,0 +1,5 @@
+-- Spend of jobs created without userId belongs to the owner of their upload
+UPDATE "JobSpend" s
+SET "userId" = u."userId"
+FROM "Job" j JOIN "Upload" u ON u."id" = j."uploadId"
+WHERE s."jobId" = j."id" AND s."userId" IS NULL AND u."userId" IS NOT NULL;
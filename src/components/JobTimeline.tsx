@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+/** One row of a job's event log, as /api/job-timeline returns it. */
+export interface JobEventItem {
+  id: string;
+  type: string;
+  runId: string | null;
+  details: Record<string, any> | null;
+  createdAt: string;
+}
+
+/** A timeline line: one event, or consecutive checkpoints of one run folded together. */
+export interface TimelineItem {
+  event: JobEventItem;
+  flushes: number;
+  rows: number;
+}
+
+const fmtDate = (d: string) => new Date(d).toLocaleString('en-US', { timeZone: 'America/Indiana/Indianapolis' });
+const fmtDuration = (seconds: number) =>
+  seconds < 90 ? `${seconds} s` : seconds < 5400 ? `${Math.round(seconds / 60)} min` : `${(seconds / 3600).toFixed(1)} h`;
+
+/** Fold consecutive 'flushed' events of the same run into one item. */
+export const groupTimeline = (events: JobEventItem[]): TimelineItem[] => {
+  const items: TimelineItem[] = [];
+  for (const e of events) {
+    const last = items[items.length - 1];
+    if (e.type === 'flushed' && last?.event.type === 'flushed' && last.event.runId === e.runId) {
+      last.flushes += 1;
+      last.rows += e.details?.rows ?? 0;
+      last.event = { ...e, createdAt: last.event.createdAt };
+    } else {
+      items.push({ event: e, flushes: e.type === 'flushed' ? 1 : 0, rows: e.details?.rows ?? 0 });
+    }
+  }
+  return items;
+};
+
+/** The details of an item as one line of text. */
+export const timelineSummary = ({ event: { type, details: d }, flushes, rows }: TimelineItem): string => {
+  if (!d) return '';
+  if (type === 'flushed') return `${flushes} checkpoint(s), +${rows.toLocaleString()} rows, up to row ${(d.rowsProcessed ?? 0).toLocaleString()}`;
+  const parts: string[] = [];
+  if (d.reason) parts.push(d.reason);
+  if (d.status) parts.push(d.status);
+  if (d.rows != null) parts.push(`${d.rows.toLocaleString()} rows in ${fmtDuration(Math.round((d.durationMs ?? 0) / 1000))}`);
+  if (d.llmErrors) parts.push(`${d.llmErrors} LLM error(s)`);
+  if (d.rowsProcessed != null) parts.push(`at row ${d.rowsProcessed.toLocaleString()}`);
+  if (d.rowsTotal != null) parts.push(`${d.rowsTotal.toLocaleString()} rows`);
+  if (d.attempt != null) parts.push(`attempt ${d.attempt}`);
+  if (d.llmErrorsOnly) parts.push('LLM errors only');
+  if (d.priority != null) parts.push(`priority ${d.priority}`);
+  if (d.by) parts.push(`by ${d.by}`);
+  if (d.error) parts.push(d.error);
+  return parts.join(' · ');
+};
+
+/**
+ * A job's timeline: what happened to it and when, from /api/job-timeline (the job's owner or an admin).
+ * Used by the Dashboard and Admin job tables.
+ */
+const JobTimeline: React.FC<{ jobId: string }> = ({ jobId }) => {
+  const [events, setEvents] = useState<JobEventItem[] | null>(null);
+  const [truncated, setTruncated] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  useEffect(() => {
+    axios.get(`/api/job-timeline?job=${encodeURIComponent(jobId)}`, { withCredentials: true })
+      .then((res) => {
+        setEvents(Array.isArray(res.data?.events) ? res.data.events : []);
+        setTruncated(!!res.data?.truncated);
+      })
+      .catch((e: any) => setErr(e?.response?.data?.error ?? e?.message ?? 'Failed to load timeline'));
+  }, [jobId]);
+
+  if (err) return <div style={{ fontSize: '0.8rem', color: '#b91c1c' }}>{err}</div>;
+  if (!events) return <div style={{ fontSize: '0.8rem' }}>Loading…</div>;
+  if (!events.length) return <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>No events recorded for this job.</div>;
+  return (
+    <div style={{ fontSize: '0.8rem', color: '#374151' }}>
+      {truncated && <div style={{ color: '#6b7280', marginBottom: '0.25rem' }}>Showing the latest {events.length} events.</div>}
+      <table style={{ borderCollapse: 'collapse' }}>
+        <tbody>
+          {groupTimeline(events).map((item) => (
+            <tr key={item.event.id} style={{ verticalAlign: 'top' }}>
+              <td style={{ paddingRight: '0.75rem', whiteSpace: 'nowrap', color: '#6b7280' }}>{fmtDate(item.event.createdAt)}</td>
+              <td style={{ paddingRight: '0.75rem', fontWeight: 600 }}>{item.event.type}</td>
+              <td style={{ paddingRight: '0.75rem', color: '#9ca3af', fontFamily: 'monospace' }} title={item.event.runId ?? undefined}>{item.event.runId?.slice(0, 8) ?? ''}</td>
+              <td>{timelineSummary(item)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default JobTimeline;
@@ -2,10 +2,30 @@
 
 import React, { useEffect, useMemo, useState } from 'react';
 import Header from '../components/Header';
+import JobTimeline from '../components/JobTimeline';
 import { useAuth } from '../hooks/useAuth';
 
 // ===== Helpers =====
 const fmtDate = (d?: string | null) => (d ? new Date(d).toLocaleString('en-US', { timeZone: 'America/Indiana/Indianapolis' }) : '—');
+// Formats offered by /api/download?format=…
+const OUTPUT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'XLSX' },
+  { key: 'jsonl', label: 'JSONL' },
+  { key: 'parquet', label: 'Parquet' },
+];
+// Controls /api/job-control offers for a job in each status
+// (llmErrorsOnly: start over and send only the rows whose classification failed to the LLM again)
+type JobAction = { action: 'pause' | 'resume' | 'cancel' | 'retry'; label: string; llmErrorsOnly?: boolean };
+const JOB_ACTIONS: Record<string, JobAction[]> = {
+  queued: [{ action: 'pause', label: 'Pause' }, { action: 'cancel', label: 'Cancel' }],
+  running: [{ action: 'pause', label: 'Pause' }, { action: 'cancel', label: 'Cancel' }],
+  paused: [{ action: 'resume', label: 'Resume' }, { action: 'cancel', label: 'Cancel' }],
+  failed: [{ action: 'retry', label: 'Retry' }, { action: 'retry', label: 'Retry LLM errors', llmErrorsOnly: true }],
+};
+// Jobs still waiting for or holding a worker; priority only matters for these
+const UNFINISHED_STATUSES = ['queued', 'running', 'paused'];
+const fmtCents = (c?: number | null) => (c == null ? '—' : `$${(c / 100).toFixed(2)}`);
 
 async function fetchJson(url: string, init?: RequestInit) {
   const res = await fetch(url, { cache: 'no-store', ...init });
@@ -63,6 +83,19 @@ function AdminMasterRecordSection() {
     }
   };
 
+  const onReviewQueue = async () => {
+    setErr('');
+    setLoading(true);
+    try {
+      const j = await fetchJson('/api/admin-master-record?op=review&limit=200', { credentials: 'include' });
+      setResults(j.rows || []);
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const csvHref = useMemo(() => '/api/admin-download-master?format=csv', []);
 
   return (
@@ -83,6 +116,7 @@ function AdminMasterRecordSection() {
       <form onSubmit={onSearch} className="mt-6 flex gap-2">
         <input type="text" value={q} onChange={(e) => setQ(e.target.value)} placeholder="Search concept_a / concept_b / code…" className="w-full border rounded-md px-3 py-2" />
         <button type="submit" className="px-4 py-2 rounded-md bg-black text-white disabled:opacity-50" disabled={loading || !q.trim()}>{loading ? 'Searching…' : 'Search'}</button>
+        <button type="button" onClick={onReviewQueue} className="px-4 py-2 rounded-md border border-neutral-300 hover:bg-neutral-50 whitespace-nowrap" disabled={loading} title="Pairs where consensus models disagreed">Needs review</button>
       </form>
 
       {err && <div className="mt-3 text-sm text-red-600">{err}</div>}
@@ -122,6 +156,12 @@ function AdminMasterRecordSection() {
                     <div>{r.llm_name || '—'}</div>
                     <div className="text-neutral-600">{r.llm_version || '—'}</div>
                     <div className="text-neutral-600">{fmtDate(r.llm_date)}</div>
+                    <div className="text-neutral-600">Prompt: {r.prompt_version || '—'}</div>
+                    {r.llm_agreement != null && (
+                      <div className="text-neutral-600" title={Array.isArray(r.llm_votes) ? r.llm_votes.map((v: any) => `${v.model}: ${v.code ?? v.status}`).join('\n') : ''}>
+                        Agreement: {Math.round(Number(r.llm_agreement) * 100)}%
+                      </div>
+                    )}
                   </td>
                   <td className="py-2 pr-4">
                     <div>{r.human_reviewer || '—'}</div>
@@ -140,8 +180,502 @@ function AdminMasterRecordSection() {
   );
 }
 
+// ===== Prompt Templates Section =====
+interface PromptTemplateRow { id: string; version: string; system: string; user: string; notes?: string | null; active: boolean; createdBy?: string | null; createdAt: string; activatedAt?: string | null; }
+
+function AdminPromptsSection() {
+  const [templates, setTemplates] = useState<PromptTemplateRow[]>([]);
+  const [activeVersion, setActiveVersion] = useState('');
+  const [builtin, setBuiltin] = useState<{ version: string; system: string; user: string } | null>(null);
+  const [placeholders, setPlaceholders] = useState<Record<string, string>>({});
+  const [draft, setDraft] = useState({ version: '', system: '', user: '', notes: '', activate: true });
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState('');
+
+  const load = async () => {
+    setErr('');
+    try {
+      const j = await fetchJson('/api/admin-prompts', { credentials: 'include' });
+      setTemplates(j.templates || []);
+      setActiveVersion(j.activeVersion || '');
+      setBuiltin(j.builtin || null);
+      setPlaceholders(j.placeholders || {});
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Start a new version from the wording currently in use
+  const copyActive = () => {
+    const src = templates.find((t) => t.version === activeVersion) || builtin;
+    if (src) setDraft({ ...draft, system: src.system, user: src.user });
+  };
+
+  const onCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setErr('');
+    setSaving(true);
+    try {
+      await fetchJson('/api/admin-prompts', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft),
+      });
+      setDraft({ version: '', system: '', user: '', notes: '', activate: true });
+      await load();
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onActivate = async (version: string) => {
+    setErr('');
+    try {
+      await fetchJson('/api/admin-prompts?op=activate', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version }),
+      });
+      await load();
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  const rows: PromptTemplateRow[] = [
+    ...templates,
+    ...(builtin ? [{ id: '__builtin__', version: builtin.version, system: builtin.system, user: builtin.user, notes: 'Built-in default', active: false, createdAt: '' }] : []),
+  ];
+
+  return (
+    <section className="border rounded-2xl p-6 bg-white shadow-sm">
+      <div className="mb-3 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium">Prompt Templates</h2>
+          <p className="text-sm text-neutral-600">Active version: <strong>{activeVersion || '—'}</strong>. New jobs use the active version; running jobs keep the version they started with.</p>
+        </div>
+        <button onClick={load} className="inline-flex items-center rounded-md px-3 py-2 border border-neutral-300 hover:bg-neutral-50 text-sm">Refresh</button>
+      </div>
+
+      {err && <div className="mb-3 text-sm text-red-600">{err}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left border-b">
+              <th className="py-2 pr-4">Version</th>
+              <th className="py-2 pr-4">Notes</th>
+              <th className="py-2 pr-4">Created</th>
+              <th className="py-2 pr-4">Activated</th>
+              <th className="py-2 pr-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((t) => (
+              <React.Fragment key={t.id}>
+                <tr className="border-b align-top">
+                  <td className="py-2 pr-4 font-medium">
+                    {t.version}
+                    {t.version === activeVersion && <span className="ml-2 rounded bg-green-100 text-green-800 px-2 py-0.5 text-xs">active</span>}
+                  </td>
+                  <td className="py-2 pr-4">{t.notes || '—'}</td>
+                  <td className="py-2 pr-4">{t.createdAt ? `${fmtDate(t.createdAt)}${t.createdBy ? ` • ${t.createdBy}` : ''}` : '—'}</td>
+                  <td className="py-2 pr-4">{fmtDate(t.activatedAt)}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    <button onClick={() => setExpanded(expanded === t.id ? null : t.id)} className="text-blue-600 underline mr-3">{expanded === t.id ? 'Hide' : 'View'}</button>
+                    {t.version !== activeVersion && (
+                      <button onClick={() => onActivate(t.version)} className="px-2 py-1 rounded-md border border-neutral-300 hover:bg-neutral-50">Activate</button>
+                    )}
+                  </td>
+                </tr>
+                {expanded === t.id && (
+                  <tr className="border-b">
+                    <td colSpan={5} className="py-2">
+                      <div className="text-xs text-neutral-600 mb-1">System</div>
+                      <pre className="whitespace-pre-wrap bg-neutral-50 border rounded-md p-2 text-xs">{t.system}</pre>
+                      <div className="text-xs text-neutral-600 mt-2 mb-1">User (per pair)</div>
+                      <pre className="whitespace-pre-wrap bg-neutral-50 border rounded-md p-2 text-xs">{t.user}</pre>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={onCreate} className="mt-6 grid grid-cols-1 gap-3">
+        <div className="flex items-center justify-between">
+          <h3 className="font-medium">New version</h3>
+          <button type="button" onClick={copyActive} className="text-sm text-blue-600 underline">Start from active version</button>
+        </div>
+        <p className="text-sm text-neutral-600">
+          Placeholders: {Object.entries(placeholders).map(([k, v]) => (<span key={k} className="mr-3"><code>{`{{${k}}}`}</code> {v}</span>))}
+        </p>
+        <input type="text" placeholder="Version (e.g. v3-clinician-review)" value={draft.version} onChange={(e) => setDraft({ ...draft, version: e.target.value })} className="border rounded-md px-3 py-2 max-w-sm" maxLength={32} />
+        <textarea placeholder="System instructions" value={draft.system} onChange={(e) => setDraft({ ...draft, system: e.target.value })} className="border rounded-md px-3 py-2 font-mono text-xs" rows={10} />
+        <textarea placeholder="User template (per pair)" value={draft.user} onChange={(e) => setDraft({ ...draft, user: e.target.value })} className="border rounded-md px-3 py-2 font-mono text-xs" rows={6} />
+        <input type="text" placeholder="Notes (what changed and why)" value={draft.notes} onChange={(e) => setDraft({ ...draft, notes: e.target.value })} className="border rounded-md px-3 py-2" />
+        <label className="text-sm flex items-center gap-2">
+          <input type="checkbox" checked={draft.activate} onChange={(e) => setDraft({ ...draft, activate: e.target.checked })} />
+          Activate after saving
+        </label>
+        <button type="submit" className="px-4 py-2 rounded-md bg-black text-white disabled:opacity-50 w-fit" disabled={saving || !draft.version.trim()}>{saving ? 'Saving…' : 'Save version'}</button>
+      </form>
+    </section>
+  );
+}
+
+// ===== Reclassify Section =====
+const EMPTY_RECLASSIFY_FILTER = { llmVersion: '', promptVersion: '', relationshipCode: '', dateFrom: '', dateTo: '', liftMin: '', liftMax: '' };
+
+function AdminReclassifySection({ onStarted }: { onStarted: () => void }) {
+  const [filter, setFilter] = useState(EMPTY_RECLASSIFY_FILTER);
+  const [targetVersion, setTargetVersion] = useState('');
+  const [count, setCount] = useState<number | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+  const [err, setErr] = useState('');
+
+  const set = (k: keyof typeof EMPTY_RECLASSIFY_FILTER) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFilter({ ...filter, [k]: e.target.value });
+    setCount(null);
+  };
+
+  const preview = async () => {
+    setErr('');
+    setMsg('');
+    try {
+      const qs = new URLSearchParams({ op: 'count' });
+      Object.entries(filter).forEach(([k, v]) => { if (v) qs.set(k, v); });
+      const j = await fetchJson(`/api/admin-reclassify?${qs.toString()}`, { credentials: 'include' });
+      setCount(Number(j.count || 0));
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  const start = async () => {
+    setErr('');
+    setBusy(true);
+    try {
+      const j = await fetchJson('/api/admin-reclassify', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filter, promptVersion: targetVersion }),
+      });
+      setMsg(`Started job ${j.jobId} for ${Number(j.rows).toLocaleString()} record(s).`);
+      setCount(null);
+      onStarted();
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="border rounded-2xl p-6 bg-white shadow-sm">
+      <div className="mb-3">
+        <h2 className="text-lg font-medium">Reclassify MasterRecord</h2>
+        <p className="text-sm text-neutral-600">Re-run classification for existing pairs, e.g. after a prompt or model change. Previous answers are kept in history; records with a human review are skipped.</p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 max-w-3xl">
+        <input type="text" placeholder="LLM version (model)" value={filter.llmVersion} onChange={set('llmVersion')} className="border rounded-md px-3 py-2" />
+        <input type="text" placeholder="Prompt version (or none)" value={filter.promptVersion} onChange={set('promptVersion')} className="border rounded-md px-3 py-2" />
+        <input type="text" placeholder="Relationship codes, e.g. 11 or 3,4,5" value={filter.relationshipCode} onChange={set('relationshipCode')} className="border rounded-md px-3 py-2" />
+        <label className="text-sm text-neutral-600">Classified from<input type="date" value={filter.dateFrom} onChange={set('dateFrom')} className="mt-1 w-full border rounded-md px-3 py-2" /></label>
+        <label className="text-sm text-neutral-600">Classified to<input type="date" value={filter.dateTo} onChange={set('dateTo')} className="mt-1 w-full border rounded-md px-3 py-2" /></label>
+        <div className="flex gap-2 items-end">
+          <input type="number" step="any" placeholder="Lift min" value={filter.liftMin} onChange={set('liftMin')} className="w-full border rounded-md px-3 py-2" />
+          <input type="number" step="any" placeholder="Lift max" value={filter.liftMax} onChange={set('liftMax')} className="w-full border rounded-md px-3 py-2" />
+        </div>
+      </div>
+
+      <div className="mt-3 flex items-center gap-2 flex-wrap">
+        <input type="text" placeholder="Classify with prompt version (default: active)" value={targetVersion} onChange={(e) => setTargetVersion(e.target.value)} className="border rounded-md px-3 py-2 w-80" />
+        <button onClick={preview} className="px-3 py-2 rounded-md bg-black text-white w-fit">Preview</button>
+        {count != null && <span className="text-sm text-neutral-600">Matches: {count.toLocaleString()}</span>}
+        {count != null && count > 0 && (
+          <button onClick={start} disabled={busy} className="px-3 py-2 rounded-md bg-blue-700 text-white disabled:opacity-50">{busy ? 'Starting…' : `Reclassify ${count.toLocaleString()} record(s)`}</button>
+        )}
+      </div>
+
+      {msg && <div className="mt-3 text-sm text-green-700">{msg}</div>}
+      {err && <div className="mt-3 text-sm text-red-600">{err}</div>}
+    </section>
+  );
+}
+
+// ===== Usage & Budgets Section =====
+interface UsageRow { userId: string | null; userEmail: string | null; jobs: number; tokensIn: number; tokensOut: number; costCents: number; monthlyBudgetCents: number | null; }
+
+function AdminUsageSection({ onChanged }: { onChanged: () => void }) {
+  const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7));
+  const [rows, setRows] = useState<UsageRow[]>([]);
+  const [defaultBudget, setDefaultBudget] = useState<number | null>(null);
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [msg, setMsg] = useState('');
+  const [err, setErr] = useState('');
+
+  const load = async () => {
+    setErr('');
+    try {
+      const j = await fetchJson(`/api/admin-usage?month=${encodeURIComponent(month)}`, { credentials: 'include' });
+      setRows(Array.isArray(j.users) ? j.users : []);
+      setDefaultBudget(j.defaultBudgetCents ?? null);
+      setDrafts({});
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [month]);
+
+  const saveBudget = async (userId: string) => {
+    setErr('');
+    setMsg('');
+    const dollars = (drafts[userId] ?? '').trim();
+    try {
+      const j = await fetchJson('/api/admin-usage', {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId, monthlyBudgetCents: dollars === '' ? null : Math.round(Number(dollars) * 100) }),
+      });
+      setMsg(`Budget saved${j.resumed?.length ? `; resumed ${j.resumed.length} paused job(s)` : ''}.`);
+      await load();
+      if (j.resumed?.length) onChanged();
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  const total = rows.reduce((sum, r) => sum + r.costCents, 0);
+
+  return (
+    <section className="border rounded-2xl p-6 bg-white shadow-sm">
+      <div className="mb-3 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium">Usage &amp; Budgets</h2>
+          <p className="text-sm text-neutral-600">
+            LLM tokens and estimated cost per user. Jobs pause when their owner reaches the monthly budget
+            {defaultBudget != null ? ` (default ${fmtCents(defaultBudget)})` : ' (no default budget)'}; leave a budget empty to use the default.
+          </p>
+        </div>
+        <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} className="border rounded-md px-3 py-2" />
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-sm text-neutral-600">No jobs in this month.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-2 pr-4">User</th>
+                <th className="py-2 pr-4">Jobs</th>
+                <th className="py-2 pr-4">Tokens in / out</th>
+                <th className="py-2 pr-4">Cost</th>
+                <th className="py-2 pr-4">Monthly budget ($)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.userId ?? 'anonymous'} className="border-b align-top">
+                  <td className="py-2 pr-4">{r.userEmail || r.userId || 'Anonymous'}</td>
+                  <td className="py-2 pr-4">{r.jobs}</td>
+                  <td className="py-2 pr-4">{r.tokensIn.toLocaleString()} / {r.tokensOut.toLocaleString()}</td>
+                  <td className="py-2 pr-4">
+                    {fmtCents(r.costCents)}
+                    {(r.monthlyBudgetCents ?? defaultBudget) != null && r.costCents >= (r.monthlyBudgetCents ?? defaultBudget)! && (
+                      <span className="ml-2 rounded bg-red-100 text-red-800 px-2 py-0.5 text-xs">over budget</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">
+                    {r.userId ? (
+                      <div className="flex gap-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          placeholder={defaultBudget != null ? `default ${(defaultBudget / 100).toFixed(2)}` : 'unlimited'}
+                          value={drafts[r.userId] ?? (r.monthlyBudgetCents != null ? (r.monthlyBudgetCents / 100).toFixed(2) : '')}
+                          onChange={(e) => setDrafts({ ...drafts, [r.userId as string]: e.target.value })}
+                          className="border rounded-md px-2 py-1 w-32"
+                        />
+                        {drafts[r.userId] !== undefined && (
+                          <button onClick={() => saveBudget(r.userId as string)} className="px-3 py-1 rounded-md bg-black text-white">Save</button>
+                        )}
+                      </div>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 text-sm text-neutral-600">Total: {fmtCents(total)}</div>
+        </div>
+      )}
+
+      {msg && <div className="mt-3 text-sm text-green-700">{msg}</div>}
+      {err && <div className="mt-3 text-sm text-red-600">{err}</div>}
+    </section>
+  );
+}
+
+// ===== Retract Job Section =====
+interface RetractSample { pairId: string; concept_a: string | null; concept_b: string | null; remove: boolean; before: Record<string, number | null>; after: Record<string, number | null> | null; }
+interface RetractPreview { jobId: string; fileName: string | null; status: string; retractedAt: string | null; rows: number; pairs: number; updated: number; deleted: number; totals: Record<string, number>; sample: RetractSample[]; }
+
+const fmtCounts = (c: Record<string, number | null> | null) =>
+  c ? Object.entries(c).map(([k, v]) => `${k} ${v == null ? '—' : Number.isInteger(v) ? v.toLocaleString() : v.toFixed(3)}`).join(', ') : '—';
+
+function AdminRetractSection({ jobId: pickedJobId, onDone }: { jobId: string; onDone: () => void }) {
+  const [jobId, setJobId] = useState('');
+  const [preview, setPreview] = useState<RetractPreview | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState('');
+  const [msg, setMsg] = useState('');
+  const [err, setErr] = useState('');
+
+  const load = async (id: string) => {
+    setErr('');
+    setMsg('');
+    setPreview(null);
+    if (!id.trim()) return;
+    try {
+      setPreview(await fetchJson(`/api/admin-retract?job=${encodeURIComponent(id.trim())}`, { credentials: 'include' }));
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    }
+  };
+
+  // "Retract…" in the jobs table picks the job here
+  useEffect(() => {
+    if (!pickedJobId) return;
+    setJobId(pickedJobId);
+    load(pickedJobId);
+  }, [pickedJobId]);
+
+  // Each POST retracts a batch of pairs; keep going until none are left
+  const retract = async () => {
+    if (!preview) return;
+    setErr('');
+    setBusy(true);
+    const done = { updated: 0, deleted: 0 };
+    try {
+      for (;;) {
+        const j = await fetchJson('/api/admin-retract', {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ job: preview.jobId }),
+        });
+        done.updated += j.updated;
+        done.deleted += j.deleted;
+        setProgress(`${(done.updated + done.deleted).toLocaleString()} of ${preview.pairs.toLocaleString()} pair(s)…`);
+        if (!j.remaining) break;
+      }
+      setMsg(`Retracted job ${preview.jobId}: ${done.updated.toLocaleString()} pair(s) updated, ${done.deleted.toLocaleString()} deleted.`);
+      setPreview(null);
+      onDone();
+    } catch (e: any) {
+      setErr(String(e?.message || e));
+    } finally {
+      setBusy(false);
+      setProgress('');
+    }
+  };
+
+  return (
+    <section className="border rounded-2xl p-6 bg-white shadow-sm">
+      <div className="mb-3">
+        <h2 className="text-lg font-medium">Retract Job</h2>
+        <p className="text-sm text-neutral-600">Take the counts an upload job added back out of MasterRecord, e.g. when a site's extract was wrong. Statistics are recomputed and pairs left without any source are deleted.</p>
+      </div>
+
+      <form onSubmit={(e) => { e.preventDefault(); load(jobId); }} className="flex gap-2 max-w-2xl">
+        <input type="text" placeholder="Job ID" value={jobId} onChange={(e) => setJobId(e.target.value)} className="w-full border rounded-md px-3 py-2" />
+        <button type="submit" className="px-3 py-2 rounded-md bg-black text-white w-fit" disabled={!jobId.trim()}>Preview</button>
+      </form>
+
+      {preview && (
+        <div className="mt-4 text-sm">
+          <p>
+            Job <strong>{preview.jobId}</strong>{preview.fileName ? ` (${preview.fileName})` : ''} · {preview.status}
+            {preview.retractedAt && <span className="ml-2 text-amber-700">retracted {fmtDate(preview.retractedAt)}</span>}
+          </p>
+          {preview.rows === 0 ? (
+            <p className="mt-2 text-neutral-600">
+              {preview.retractedAt ? 'Nothing left to retract.' : 'No recorded contributions: the job added nothing, or ran before contributions were recorded.'}
+            </p>
+          ) : (
+            <>
+              <ul className="mt-2 list-disc pl-5">
+                <li>{preview.rows.toLocaleString()} row(s) across {preview.pairs.toLocaleString()} pair(s)</li>
+                <li>{preview.updated.toLocaleString()} pair(s) updated, <strong>{preview.deleted.toLocaleString()}</strong> deleted (no other source left)</li>
+                <li>Subtracted: {fmtCounts(preview.totals)}</li>
+              </ul>
+              {!!preview.sample.length && (
+                <div className="mt-3 overflow-x-auto">
+                  <table className="min-w-full text-xs">
+                    <thead>
+                      <tr className="text-left border-b">
+                        <th className="py-1 pr-4">Pair</th>
+                        <th className="py-1 pr-4">Now</th>
+                        <th className="py-1 pr-4">After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.sample.map((s) => (
+                        <tr key={s.pairId} className="border-b align-top">
+                          <td className="py-1 pr-4">{s.concept_a || '—'} ↔ {s.concept_b || '—'}<div className="text-neutral-500">{s.pairId}</div></td>
+                          <td className="py-1 pr-4">{fmtCounts(s.before)}</td>
+                          <td className="py-1 pr-4">{s.remove ? <span className="text-red-700">deleted</span> : fmtCounts(s.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="mt-3 flex items-center gap-2">
+                <button
+                  onClick={retract}
+                  disabled={busy || ['queued', 'running', 'paused'].includes(preview.status)}
+                  className="px-3 py-2 rounded-md bg-red-700 text-white disabled:opacity-50"
+                  title={['queued', 'running', 'paused'].includes(preview.status) ? 'Wait for the job to finish or cancel it' : ''}
+                >
+                  {busy ? 'Retracting…' : `Retract ${preview.pairs.toLocaleString()} pair(s)`}
+                </button>
+                {progress && <span className="text-neutral-600">{progress}</span>}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {msg && <div className="mt-3 text-sm text-green-700">{msg}</div>}
+      {err && <div className="mt-3 text-sm text-red-600">{err}</div>}
+    </section>
+  );
+}
+
 // ===== Types =====
-interface AdminJobRow { id: string; fileName: string; userEmail?: string; rowCount?: number; createdAt: string; status: string; outputUrl?: string; }
+interface AdminJobRow { id: string; kind?: string; fileName: string; userEmail?: string; rowCount?: number; createdAt: string; status: string; outputUrl?: string; error?: string | null; tokensIn?: number; tokensOut?: number; costCents?: number; rowsRejected?: number; validationUrl?: string | null; retractedAt?: string | null; priority?: number; attempts?: number; errorHistory?: { attempt: number; error: string | null; rowsProcessed: number | null; at: string }[]; }
 
 // ===== Page =====
 const AdminPage: React.FC = () => {
@@ -156,6 +690,8 @@ const AdminPage: React.FC = () => {
   const [deleteFilters, setDeleteFilters] = useState({ date: '', status: '', user: '' });
   const [confirming, setConfirming] = useState(false);
   const [previewCount, setPreviewCount] = useState<number | null>(null);
+  const [retractJobId, setRetractJobId] = useState('');
+  const [timelineJobId, setTimelineJobId] = useState<string | null>(null);
 
   const fetchJobs = async () => {
     setLoading(true);
@@ -202,6 +738,38 @@ const AdminPage: React.FC = () => {
     }
   };
 
+  const setPriority = async (id: string, priority: number) => {
+    setError(null);
+    try {
+      await fetchJson('/api/admin-jobs', {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ job: id, priority }),
+      });
+      await fetchJobs();
+    } catch (e: any) {
+      setError(e?.message || 'Failed to change priority');
+    }
+  };
+
+  const controlJob = async (id: string, { action, llmErrorsOnly = false }: JobAction) => {
+    if (action === 'cancel' && !window.confirm(`Cancel job ${id}? It cannot be resumed.`)) return;
+    if (llmErrorsOnly && !window.confirm(`Start job ${id} over from the first row? Rows already counted are not counted again; only pairs whose classification failed go back to the LLM.`)) return;
+    setError(null);
+    try {
+      await fetchJson('/api/job-control', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ job: id, action, llmErrorsOnly }),
+      });
+      await fetchJobs();
+    } catch (e: any) {
+      setError(e?.message || `Failed to ${action} job`);
+    }
+  };
+
   const doDelete = async () => {
     setConfirming(false);
     try {
@@ -248,6 +816,12 @@ const AdminPage: React.FC = () => {
           <div className="grid grid-cols-1 gap-6">
             <AdminMasterRecordSection />
 
+            <AdminPromptsSection />
+
+            <AdminReclassifySection onStarted={fetchJobs} />
+
+            <AdminUsageSection onChanged={fetchJobs} />
+
             {/* Jobs list */}
             <section className="border rounded-2xl p-6 bg-white shadow-sm">
               <div className="mb-3 flex items-center justify-between">
@@ -272,20 +846,90 @@ const AdminPage: React.FC = () => {
                         <th className="py-2 pr-4">Rows</th>
                         <th className="py-2 pr-4">Created</th>
                         <th className="py-2 pr-4">Status</th>
+                        <th className="py-2 pr-4">Priority</th>
+                        <th className="py-2 pr-4">Cost</th>
                         <th className="py-2 pr-4">Output</th>
                       </tr>
                     </thead>
                     <tbody>
                       {jobs.map((j) => (
-                        <tr key={j.id} className="border-b align-top">
-                          <td className="py-2 pr-4">{j.id}</td>
-                          <td className="py-2 pr-4">{j.fileName}</td>
-                          <td className="py-2 pr-4">{j.userEmail || '—'}</td>
-                          <td className="py-2 pr-4">{j.rowCount ?? '—'}</td>
-                          <td className="py-2 pr-4">{fmtDate(j.createdAt)}</td>
-                          <td className="py-2 pr-4">{j.status}</td>
-                          <td className="py-2 pr-4">{j.outputUrl ? (<a href={j.outputUrl} className="text-blue-600 underline">Download</a>) : '—'}</td>
-                        </tr>
+                        <React.Fragment key={j.id}>
+                          <tr className="border-b align-top">
+                            <td className="py-2 pr-4">
+                              {j.id}
+                              <div>
+                                <button onClick={() => setTimelineJobId(timelineJobId === j.id ? null : j.id)} className="text-xs text-blue-600 underline">{timelineJobId === j.id ? 'Hide timeline' : 'Timeline'}</button>
+                              </div>
+                            </td>
+                            <td className="py-2 pr-4">
+                              {j.fileName}
+                              {j.kind === 'reclassify' && <span className="ml-2 rounded bg-blue-100 text-blue-800 px-2 py-0.5 text-xs">reclassify</span>}
+                            </td>
+                            <td className="py-2 pr-4">{j.userEmail || '—'}</td>
+                            <td className="py-2 pr-4">{j.rowCount ?? '—'}</td>
+                            <td className="py-2 pr-4">{fmtDate(j.createdAt)}</td>
+                            <td className="py-2 pr-4">
+                              {j.status}
+                              {j.retractedAt && <span className="ml-2 rounded bg-amber-100 text-amber-800 px-2 py-0.5 text-xs">retracted</span>}
+                              {(JOB_ACTIONS[j.status] ?? []).length > 0 && (
+                                <div className="mt-1 flex gap-2">
+                                  {JOB_ACTIONS[j.status].map((a) => (
+                                    <button key={a.label} onClick={() => controlJob(j.id, a)} className={`text-xs underline ${a.action === 'cancel' ? 'text-red-700' : 'text-blue-600'}`}>{a.label}</button>
+                                  ))}
+                                </div>
+                              )}
+                              {j.error && <div className="text-xs text-neutral-600 max-w-xs">{j.error}</div>}
+                              {(j.attempts ?? 1) > 1 && (
+                                <details className="text-xs text-neutral-600 max-w-xs">
+                                  <summary>Attempt {j.attempts}</summary>
+                                  {(j.errorHistory ?? []).map((h) => (
+                                    <div key={`${h.attempt}-${h.at}`}>#{h.attempt} ({fmtDate(h.at)}, {h.rowsProcessed ?? 0} rows): {h.error ?? 'no error recorded'}</div>
+                                  ))}
+                                </details>
+                              )}
+                              {(j.rowsRejected ?? 0) > 0 && (
+                                <div className="text-xs text-amber-700">
+                                  {j.rowsRejected} row(s) rejected
+                                  {j.validationUrl && <> · <a href={j.validationUrl} className="text-blue-600 underline">report</a></>}
+                                </div>
+                              )}
+                              {j.kind !== 'reclassify' && !j.retractedAt && ['completed', 'failed', 'cancelled'].includes(j.status) && (
+                                <div>
+                                  <button onClick={() => setRetractJobId(j.id)} className="text-xs text-red-700 underline">Retract…</button>
+                                </div>
+                              )}
+                            </td>
+                            <td className="py-2 pr-4 whitespace-nowrap">
+                              {j.priority ?? 0}
+                              {UNFINISHED_STATUSES.includes(j.status) && (
+                                <>
+                                  <button onClick={() => setPriority(j.id, (j.priority ?? 0) + 1)} title="Run sooner" className="ml-2 text-xs text-blue-600 underline">▲</button>
+                                  <button onClick={() => setPriority(j.id, (j.priority ?? 0) - 1)} title="Run later" className="ml-1 text-xs text-blue-600 underline">▼</button>
+                                </>
+                              )}
+                            </td>
+                            <td className="py-2 pr-4" title={`${(j.tokensIn ?? 0).toLocaleString()} tokens in / ${(j.tokensOut ?? 0).toLocaleString()} out`}>{fmtCents(j.costCents)}</td>
+                            <td className="py-2 pr-4">
+                              {j.outputUrl ? (
+                                <span className="whitespace-nowrap">
+                                  {OUTPUT_FORMATS.map((f, i) => (
+                                    <React.Fragment key={f.key}>
+                                      {i > 0 && ' · '}
+                                      <a href={`${j.outputUrl}&format=${f.key}`} className="text-blue-600 underline">{f.label}</a>
+                                    </React.Fragment>
+                                  ))}
+                                </span>
+                              ) : '—'}
+                            </td>
+                          </tr>
+                          {timelineJobId === j.id && (
+                            <tr className="border-b">
+                              <td colSpan={9} className="py-2">
+                                <JobTimeline jobId={j.id} />
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
                       ))}
                     </tbody>
                   </table>
@@ -293,6 +937,8 @@ const AdminPage: React.FC = () => {
               )}
             </section>
 
+            <AdminRetractSection jobId={retractJobId} onDone={fetchJobs} />
+
             {/* Delete jobs */}
             <section className="border rounded-2xl p-6 bg-white shadow-sm">
               <div className="mb-3 flex items-center justify-between">
@@ -308,6 +954,8 @@ const AdminPage: React.FC = () => {
                   <option value="running">Running</option>
                   <option value="completed">Completed</option>
                   <option value="failed">Failed</option>
+                  <option value="paused">Paused</option>
+                  <option value="cancelled">Cancelled</option>
                 </select>
                 <input type="text" placeholder="User email" value={deleteFilters.user} onChange={(e) => setDeleteFilters({ ...deleteFilters, user: e.target.value })} className="border rounded-md px-3 py-2" />
               </div>
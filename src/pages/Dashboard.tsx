@@ -3,6 +3,7 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import axios from 'axios';
 import Header from '../components/Header';
+import JobTimeline from '../components/JobTimeline';
 import { useAuth } from '../hooks/useAuth';
 
 class ErrorBoundary extends React.Component<{ children: React.ReactNode }, { hasError: boolean; msg?: string }>{
@@ -36,8 +37,132 @@ interface JobItem {
   createdAt: string;
   finishedAt?: string;
   outputBlobKey?: string;
+  error?: string | null;
+  tokensIn?: number;
+  tokensOut?: number;
+  costCents?: number;
+  rowsRejected?: number;
+  validationUrl?: string | null;
+  outputUrl?: string | null;
+  rowsTotal?: number | null;
+  rowsProcessed?: number | null;
+  attempts?: number;
+  errorHistory?: { attempt: number; error: string | null; rowsProcessed: number | null; at: string }[];
 }
 
+// Controls /api/job-control offers for a job in each status
+// (llmErrorsOnly: start over and send only the rows whose classification failed to the LLM again)
+type JobAction = { action: 'pause' | 'resume' | 'cancel' | 'retry'; label: string; llmErrorsOnly?: boolean };
+const JOB_ACTIONS: Record<string, JobAction[]> = {
+  queued: [{ action: 'pause', label: 'Pause' }, { action: 'cancel', label: 'Cancel' }],
+  running: [{ action: 'pause', label: 'Pause' }, { action: 'cancel', label: 'Cancel' }],
+  paused: [{ action: 'resume', label: 'Resume' }, { action: 'cancel', label: 'Cancel' }],
+  failed: [{ action: 'retry', label: 'Retry' }, { action: 'retry', label: 'Retry LLM errors', llmErrorsOnly: true }],
+};
+
+// Jobs that stream live progress from /api/jobs/events
+const LIVE_STATUSES = ['queued', 'running'];
+
+interface LiveProgress {
+  status: string;
+  rowsProcessed: number;
+  rowsTotal: number | null;
+  rowsPerSecond: number | null;
+  etaSeconds: number | null;
+  tokensIn: number;
+  tokensOut: number;
+  costCents: number;
+  // Most recent output rows
+  rows?: { concept_a: string; concept_b: string; relationship_type: string; llm_status: string }[];
+}
+
+interface UploadEstimate {
+  rows: number;
+  uniquePairs: number;
+  inMasterRecord: number;
+  inLlmCache: number;
+  passLiftThreshold: number;
+  liftThreshold: number;
+  llmCalls: number;
+  model: string;
+  promptVersion: string;
+  tokensIn: number;
+  tokensOut: number;
+  tokenBasis: 'history' | 'default';
+  costCents: number;
+  runtimeSeconds: number;
+  budget: { budgetCents: number | null; spentCents: number; exceeds: boolean } | null;
+  // Jobs the upload becomes (one per sheet when workbook sheets are kept separate)
+  jobs?: number;
+}
+
+interface UploadValidation {
+  ok: boolean;
+  missingColumns: string[];
+  warnings: string[];
+  rowsTotal: number;
+  rowsInvalid: number;
+  errors: { sheet?: string | null; row: number; column: string; value: string; message: string }[];
+}
+
+interface UploadBody {
+  blobKey: string;
+  originalName: string;
+  contentType: string;
+  size: number;
+  forceRefresh: boolean;
+  columnMapping?: Record<string, string>;
+  // Workbooks: the sheets to read (header row each) and whether they become one job or one job per sheet
+  sheets?: { name: string; headerRow: number }[];
+  sheetMode?: 'separate' | 'merged';
+  // CSV: the line the header is on
+  headerRow?: number;
+}
+
+// An uploaded file waiting for the user to confirm its estimate
+interface PendingUpload {
+  body: UploadBody;
+  estimate: UploadEstimate;
+  // Sent back when the job is created; the server queues nothing without it
+  estimateToken: string;
+  validation: UploadValidation;
+}
+
+interface UploadField { key: string; label: string; required: boolean }
+interface UploadSheet { name: string; rows: number; headerRow: number }
+interface MappingPreset { name: string; mapping: Record<string, string> }
+
+// An uploaded file waiting for the user to confirm which column feeds each field
+interface ColumnStep {
+  body: UploadBody;
+  // Sheets of a workbook (null for CSV), with the header row detected on each
+  sheets: UploadSheet[] | null;
+  headers: string[];
+  sample: Record<string, string>[];
+  fields: UploadField[];
+  mapping: Record<string, string>;
+  presets: MappingPreset[];
+}
+
+// Per-row validation report (CSV text from /api/upload) as a downloadable link
+const ReportLink: React.FC<{ csv: string; name: string }> = ({ csv, name }) => {
+  const href = useMemo(() => URL.createObjectURL(new Blob([csv], { type: 'text/csv' })), [csv]);
+  useEffect(() => () => URL.revokeObjectURL(href), [href]);
+  return <a href={href} download={name} style={{ color: '#2563eb' }}>Download error report</a>;
+};
+
+// Formats offered by /api/download?format=… (CSV is the stored output)
+const OUTPUT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'XLSX' },
+  { key: 'jsonl', label: 'JSONL' },
+  { key: 'parquet', label: 'Parquet' },
+];
+
+const fmtDollars = (cents: number) => `$${(cents / 100).toFixed(2)}`;
+const fmtDuration = (seconds: number) =>
+  seconds < 90 ? `${seconds} s` : seconds < 5400 ? `${Math.round(seconds / 60)} min` : `${(seconds / 3600).toFixed(1)} h`;
+
 const POLL_INTERVAL_MS = 10_000; // 10 seconds
 const LS_KEY = 'dashboard.autoRefresh';
 
@@ -57,6 +182,20 @@ const DashboardPage: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [file, setFile] = useState<File | null>(null);
   const [uploading, setUploading] = useState(false);
+  const [forceRefresh, setForceRefresh] = useState(false);
+  const [pending, setPending] = useState<PendingUpload | null>(null);
+  const [columnStep, setColumnStep] = useState<ColumnStep | null>(null);
+  const [presetName, setPresetName] = useState('');
+  const [estimating, setEstimating] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [report, setReport] = useState<{ csv: string; name: string } | null>(null);
+  const [controlling, setControlling] = useState<string | null>(null);
+  const [timelineJobId, setTimelineJobId] = useState<string | null>(null);
+  const [live, setLive] = useState<Record<string, LiveProgress>>({});
+  // The progress stream and the active job ids it was opened for
+  const streamRef = useRef<{ es: EventSource; key: string } | null>(null);
+  // Set when the stream was refused; the list poll keeps the jobs up to date instead
+  const streamFailedRef = useRef(false);
 
   const [autoRefresh, setAutoRefresh] = useState<boolean>(() => {
     const raw = typeof window !== 'undefined' ? window.localStorage.getItem(LS_KEY) : null;
@@ -89,6 +228,21 @@ const DashboardPage: React.FC = () => {
     }
   };
 
+  const controlJob = async (id: string, { action, llmErrorsOnly = false }: JobAction) => {
+    if (action === 'cancel' && !window.confirm('Cancel this job? It cannot be resumed; rows already processed stay in the output.')) return;
+    if (llmErrorsOnly && !window.confirm('Start this job over from the first row? Rows already counted are not counted again; only pairs whose classification failed go back to the LLM. The output is rebuilt.')) return;
+    setControlling(id);
+    setError(null);
+    try {
+      await axios.post('/api/job-control', { job: id, action, llmErrorsOnly }, { withCredentials: true });
+      await fetchJobs();
+    } catch (err: any) {
+      setError(toMsg(err?.response?.data?.error ?? err));
+    } finally {
+      setControlling(null);
+    }
+  };
+
   // Initial fetch
   useEffect(() => {
     let cancelled = false;
@@ -117,7 +271,10 @@ const DashboardPage: React.FC = () => {
     if (autoRefresh) {
       // kick once immediately for snappy UX
       fetchJobs();
-      pollRef.current = window.setInterval(fetchJobs, POLL_INTERVAL_MS) as any;
+      // While jobs stream their progress, the list is refetched when a stream ends instead
+      pollRef.current = window.setInterval(() => {
+        if (!streamRef.current) fetchJobs();
+      }, POLL_INTERVAL_MS) as any;
     }
 
     return () => {
@@ -128,6 +285,42 @@ const DashboardPage: React.FC = () => {
     };
   }, [autoRefresh]);
 
+  // One event stream for all queued or running jobs; EventSource reconnects by itself when a stream closes.
+  // It is reopened when the set of active jobs changes, and closed when none is left.
+  useEffect(() => {
+    if (typeof window === 'undefined' || typeof EventSource === 'undefined') return;
+    const key = jobs.filter((j) => LIVE_STATUSES.includes((j.status || '').toLowerCase())).map((j) => j.id).sort().join(',');
+    if (streamRef.current?.key === key) return;
+    streamRef.current?.es.close();
+    streamRef.current = null;
+    if (!key || streamFailedRef.current) return;
+
+    const es = new EventSource(`/api/jobs/events?jobs=${encodeURIComponent(key)}`, { withCredentials: true });
+    es.addEventListener('progress', (e) => {
+      const p = JSON.parse((e as MessageEvent).data);
+      setLive((prev) => ({ ...prev, [p.id]: { ...prev[p.id], ...p } }));
+    });
+    es.addEventListener('rows', (e) => {
+      const { id, rows } = JSON.parse((e as MessageEvent).data);
+      setLive((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], rows } } : prev));
+    });
+    // A job finished: reload the list, which reopens the stream for the jobs still active
+    es.addEventListener('end', () => fetchJobs());
+    // A 401/500 answer closes the EventSource for good without an `end`; drop it so polling resumes
+    es.onerror = () => {
+      if (es.readyState !== EventSource.CLOSED || streamRef.current?.es !== es) return;
+      streamRef.current = null;
+      streamFailedRef.current = true;
+      fetchJobs();
+    };
+    streamRef.current = { es, key };
+  }, [jobs]);
+
+  useEffect(() => () => {
+    streamRef.current?.es.close();
+    streamRef.current = null;
+  }, []);
+
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files.length > 0) setFile(e.target.files[0]);
   };
@@ -136,15 +329,21 @@ const DashboardPage: React.FC = () => {
     if (!file) return;
     setUploading(true);
     setError(null);
+    setReport(null);
     try {
-      const formData = new FormData();
-      formData.append('file', file);
-      await axios.post('/api/upload', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        withCredentials: true,
-      });
-      setFile(null);
-      await fetchJobs(); // refresh right after upload
+      // Three-step flow (see netlify/functions/upload.mjs): get a signed URL, PUT the file, then register the job.
+      // The user first confirms the column mapping, then the pre-flight estimate; only then is the job registered.
+      const { data: issued } = await axios.get('/api/upload', { withCredentials: true });
+      if (!issued?.uploadUrl || !issued?.blobKey) throw new Error(issued?.error || 'Upload URL not issued');
+      await axios.put(issued.uploadUrl, file, { headers: { 'Content-Type': file.type || 'application/octet-stream' } });
+      const body: UploadBody = {
+        blobKey: issued.blobKey,
+        originalName: file.name,
+        contentType: file.type,
+        size: file.size,
+        forceRefresh,
+      };
+      await loadColumns(body);
     } catch (err: any) {
       console.error('[Dashboard] upload failed', err);
       const apiErr = err?.response?.data?.error ?? err;
@@ -154,6 +353,134 @@ const DashboardPage: React.FC = () => {
     }
   };
 
+  // Headers, sample rows and the suggested mapping for the first sheet (or CSV header row) the body reads
+  const loadColumns = async (body: UploadBody) => {
+    const { data } = await axios.post('/api/upload', { ...body, columns: true }, { withCredentials: true });
+    if (!data?.headers) throw new Error(data?.error || 'Could not read the file headers');
+    const next: UploadBody = data.sheets
+      ? { ...body, sheets: body.sheets?.length ? body.sheets : [{ name: data.sheet, headerRow: data.headerRow }], sheetMode: body.sheetMode ?? 'separate' }
+      : { ...body, headerRow: data.headerRow };
+    setColumnStep({ body: next, sheets: data.sheets, headers: data.headers, sample: data.sample, fields: data.fields, mapping: data.mapping, presets: data.presets });
+    setPresetName(data.preset ?? '');
+  };
+
+  // Changing which sheet comes first, or where its header is, changes the columns to map
+  const updateSource = async (body: UploadBody) => {
+    if (!columnStep) return;
+    const first = (b: UploadBody) => JSON.stringify(b.sheets?.[0] ?? b.headerRow ?? null);
+    if (first(body) === first(columnStep.body)) {
+      setColumnStep({ ...columnStep, body });
+      return;
+    }
+    setError(null);
+    try {
+      await loadColumns(body);
+    } catch (err: any) {
+      setError(toMsg(err?.response?.data?.error ?? err));
+    }
+  };
+
+  const toggleSheet = (sheet: UploadSheet) => {
+    if (!columnStep) return;
+    const picked = columnStep.body.sheets ?? [];
+    const sheets = picked.some((s) => s.name === sheet.name)
+      ? picked.filter((s) => s.name !== sheet.name)
+      : [...picked, { name: sheet.name, headerRow: sheet.headerRow }];
+    if (sheets.length) updateSource({ ...columnStep.body, sheets });
+  };
+
+  const setSheetHeaderRow = (name: string, headerRow: number) => {
+    if (!columnStep || !(headerRow >= 1)) return;
+    updateSource({ ...columnStep.body, sheets: (columnStep.body.sheets ?? []).map((s) => (s.name === name ? { ...s, headerRow } : s)) });
+  };
+
+  const setFieldColumn = (field: string, header: string) => {
+    if (!columnStep) return;
+    const mapping = { ...columnStep.mapping };
+    if (header) mapping[field] = header;
+    else delete mapping[field];
+    setColumnStep({ ...columnStep, mapping });
+  };
+
+  // A preset only fills fields whose column exists in this file; the rest keep the current choice
+  const applyPreset = (name: string) => {
+    setPresetName(name);
+    const preset = columnStep?.presets.find((p) => p.name === name);
+    if (!columnStep || !preset) return;
+    const present = Object.entries(preset.mapping).filter(([, h]) => columnStep.headers.includes(h));
+    setColumnStep({ ...columnStep, mapping: { ...columnStep.mapping, ...Object.fromEntries(present) } });
+  };
+
+  const savePreset = async () => {
+    if (!columnStep || !presetName.trim()) return;
+    setError(null);
+    try {
+      const { data } = await axios.put('/api/column-presets', { name: presetName.trim(), mapping: columnStep.mapping }, { withCredentials: true });
+      const saved: MappingPreset = data.preset;
+      setColumnStep({ ...columnStep, presets: [saved, ...columnStep.presets.filter((p) => p.name !== saved.name)] });
+    } catch (err: any) {
+      setError(toMsg(err?.response?.data?.error ?? err));
+    }
+  };
+
+  const deletePreset = async () => {
+    if (!columnStep || !presetName) return;
+    setError(null);
+    try {
+      await axios.delete(`/api/column-presets?name=${encodeURIComponent(presetName)}`, { withCredentials: true });
+      setColumnStep({ ...columnStep, presets: columnStep.presets.filter((p) => p.name !== presetName) });
+      setPresetName('');
+    } catch (err: any) {
+      setError(toMsg(err?.response?.data?.error ?? err));
+    }
+  };
+
+  const confirmColumns = async () => {
+    if (!columnStep) return;
+    setEstimating(true);
+    setError(null);
+    setReport(null);
+    const body = { ...columnStep.body, columnMapping: columnStep.mapping };
+    try {
+      const { data } = await axios.post('/api/upload', { ...body, estimate: true }, { withCredentials: true });
+      if (!data?.estimate) throw new Error(data?.error || 'Estimate failed');
+      setPending({ body, estimate: data.estimate, estimateToken: data.estimateToken, validation: data.validation });
+      setColumnStep(null);
+      if (data.report) setReport({ csv: data.report, name: `${body.originalName}-errors.csv` });
+    } catch (err: any) {
+      console.error('[Dashboard] estimate failed', err);
+      const apiErr = err?.response?.data?.error ?? err;
+      setError(toMsg(apiErr));
+      if (err?.response?.data?.report) setReport({ csv: err.response.data.report, name: `${body.originalName}-errors.csv` });
+    } finally {
+      setEstimating(false);
+    }
+  };
+
+  const unmappedRequired = columnStep ? columnStep.fields.filter((f) => f.required && !columnStep.mapping[f.key]) : [];
+
+  const confirmUpload = async () => {
+    if (!pending) return;
+    setConfirming(true);
+    setError(null);
+    try {
+      // Rows that failed validation are quarantined: the job skips them and keeps the report
+      const quarantine = pending.validation?.rowsInvalid > 0;
+      await axios.post('/api/upload', { ...pending.body, estimateToken: pending.estimateToken, ...(quarantine ? { invalidRows: 'quarantine' } : {}) }, { withCredentials: true });
+      setPending(null);
+      setReport(null);
+      setFile(null);
+      setForceRefresh(false);
+      await fetchJobs(); // refresh right after upload
+    } catch (err: any) {
+      console.error('[Dashboard] job creation failed', err);
+      const apiErr = err?.response?.data?.error ?? err;
+      setError(toMsg(apiErr));
+    } finally {
+      setConfirming(false);
+    }
+  };
+
   const refreshLabel = lastRefresh ? `Last updated ${lastRefresh.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' })}` : 'Not updated yet';
 
   return (
@@ -206,35 +533,119 @@ const DashboardPage: React.FC = () => {
                       <th style={{ textAlign: 'left', padding: '0.5rem', borderBottom: '1px solid #e5e7eb' }}>Upload File</th>
                       <th style={{ textAlign: 'left', padding: '0.5rem', borderBottom: '1px solid #e5e7eb' }}>Status</th>
                       <th style={{ textAlign: 'left', padding: '0.5rem', borderBottom: '1px solid #e5e7eb' }}>Upload Date</th>
+                      <th style={{ textAlign: 'left', padding: '0.5rem', borderBottom: '1px solid #e5e7eb' }}>Cost</th>
                       <th style={{ textAlign: 'left', padding: '0.5rem', borderBottom: '1px solid #e5e7eb' }}>Output</th>
                     </tr>
                   </thead>
                   <tbody>
                     {jobs.map((job) => {
                       const href = `/api/download?job=${encodeURIComponent(job.id)}`;
+                      const progress = live[job.id];
                       const status = (job.status || '').toLowerCase();
-                      const canDownload = status === 'completed' || status === 'finished';
-                      const label = job.outputBlobKey?.match(/\.xlsx?$/i)
-                        ? 'Download XLSX'
-                        : job.outputBlobKey?.match(/\.csv$/i)
-                        ? 'Download CSV'
-                        : 'Download';
+                      // A cancelled job keeps the rows it finished
+                      const canDownload = status === 'completed' || status === 'finished' || (status === 'cancelled' && !!job.outputUrl);
 
                       return (
-                        <tr key={job.id}>
-                          <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>{job.fileName}</td>
-                          <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>{job.status}</td>
-                          <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>
-                            {new Date(job.createdAt).toLocaleString('en-US', { timeZone: 'America/Indiana/Indianapolis' })}
-                          </td>
-                          <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>
-                            {canDownload ? (
-                              <a href={href} style={{ color: '#2563eb' }}>{label}</a>
-                            ) : (
-                              '—'
-                            )}
-                          </td>
-                        </tr>
+                        <React.Fragment key={job.id}>
+                          <tr>
+                            <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>{job.fileName}</td>
+                            <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>
+                              {progress && LIVE_STATUSES.includes(progress.status) ? progress.status : job.status}
+                              {progress && LIVE_STATUSES.includes(status) && (
+                                <div style={{ marginTop: '0.25rem', fontSize: '0.8rem', color: '#374151' }}>
+                                  {progress.rowsTotal ? (
+                                    <div style={{ width: 160, height: 6, background: '#e5e7eb', borderRadius: 3, overflow: 'hidden' }}>
+                                      <div style={{ width: `${Math.min(100, (100 * progress.rowsProcessed) / progress.rowsTotal)}%`, height: '100%', background: '#2563eb' }} />
+                                    </div>
+                                  ) : null}
+                                  <div>
+                                    {progress.rowsProcessed.toLocaleString()}{progress.rowsTotal ? ` / ${progress.rowsTotal.toLocaleString()}` : ''} rows
+                                    {progress.rowsPerSecond ? ` · ${progress.rowsPerSecond} rows/s` : ''}
+                                    {progress.etaSeconds != null ? ` · about ${fmtDuration(progress.etaSeconds)} left` : ''}
+                                  </div>
+                                  {(progress.rows ?? []).length > 0 && (
+                                    <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1rem', color: '#6b7280' }}>
+                                      {progress.rows!.map((r, i) => (
+                                        <li key={i}>
+                                          {r.concept_a} – {r.concept_b}: {r.relationship_type}
+                                          {r.llm_status === 'error' ? ' (LLM error)' : ''}
+                                        </li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                </div>
+                              )}
+                              {job.error && <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>{job.error}</div>}
+                              {(job.attempts ?? 1) > 1 && (
+                                <div
+                                  style={{ fontSize: '0.8rem', color: '#6b7280' }}
+                                  title={(job.errorHistory ?? []).map((h) => `Attempt ${h.attempt}: ${h.error ?? 'no error recorded'}`).join('\n')}
+                                >
+                                  Attempt {job.attempts}
+                                </div>
+                              )}
+                              {(JOB_ACTIONS[status] ?? []).length > 0 && (
+                                <div style={{ display: 'flex', gap: '0.35rem', marginTop: '0.25rem' }}>
+                                  {JOB_ACTIONS[status].map((a) => (
+                                    <button
+                                      key={a.label}
+                                      onClick={() => controlJob(job.id, a)}
+                                      disabled={controlling === job.id}
+                                      style={{ padding: '0.1rem 0.5rem', fontSize: '0.8rem', background: '#fff', color: a.action === 'cancel' ? '#b91c1c' : '#374151', border: '1px solid #d1d5db', borderRadius: '0.25rem', cursor: controlling === job.id ? 'not-allowed' : 'pointer' }}
+                                    >
+                                      {a.label}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+                              {(job.rowsRejected ?? 0) > 0 && (
+                                <div style={{ fontSize: '0.8rem', color: '#b45309' }}>
+                                  {job.rowsRejected} row(s) rejected
+                                  {job.validationUrl ? <> · <a href={job.validationUrl} style={{ color: '#2563eb' }}>report</a></> : null}
+                                </div>
+                              )}
+                              <div>
+                                <button
+                                  onClick={() => setTimelineJobId(timelineJobId === job.id ? null : job.id)}
+                                  style={{ padding: 0, fontSize: '0.8rem', background: 'none', border: 'none', color: '#2563eb', textDecoration: 'underline', cursor: 'pointer' }}
+                                >
+                                  {timelineJobId === job.id ? 'Hide timeline' : 'Timeline'}
+                                </button>
+                              </div>
+                            </td>
+                            <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>
+                              {new Date(job.createdAt).toLocaleString('en-US', { timeZone: 'America/Indiana/Indianapolis' })}
+                            </td>
+                            <td
+                              style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}
+                              title={`${(progress?.tokensIn ?? job.tokensIn ?? 0).toLocaleString()} tokens in / ${(progress?.tokensOut ?? job.tokensOut ?? 0).toLocaleString()} out`}
+                            >
+                              ${((progress?.costCents ?? job.costCents ?? 0) / 100).toFixed(2)}
+                            </td>
+                            <td style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6' }}>
+                              {canDownload ? (
+                                <>
+                                  Download{' '}
+                                  {OUTPUT_FORMATS.map((f, i) => (
+                                    <React.Fragment key={f.key}>
+                                      {i > 0 && ' · '}
+                                      <a href={`${href}&format=${f.key}`} style={{ color: '#2563eb' }}>{f.label}</a>
+                                    </React.Fragment>
+                                  ))}
+                                </>
+                              ) : (
+                                '—'
+                              )}
+                            </td>
+                          </tr>
+                          {timelineJobId === job.id && (
+                            <tr>
+                              <td colSpan={5} style={{ padding: '0.5rem', borderBottom: '1px solid #f3f4f6', background: '#f9fafb' }}>
+                                <JobTimeline jobId={job.id} />
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
                       );
                     })}
                   </tbody>
@@ -245,24 +656,235 @@ const DashboardPage: React.FC = () => {
             <section>
               <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>Upload New File</h2>
               <p style={{ fontSize: '0.875rem', marginBottom: '0.5rem' }}>
-                Please upload a CSV or Excel file with a header row containing the columns: <code>concept_a</code>, <code>concept_b</code>, <code>cooc_obs</code>, <code>COOC_event_count</code>, <code>a_before_b</code>, <code>same_day</code>, <code>b_before_a</code>, <code>nA</code>, <code>nB</code>, and <code>total_persons</code>. At least one data row is required.  The TAXIS query against an OMOP CDM will generate an appropriate file.
+                Please upload a CSV or Excel file with a header row containing the columns: <code>concept_a</code>, <code>concept_b</code> and <code>COOC_event_count</code>, and usually <code>cooc_obs</code>, <code>a_before_b</code>, <code>same_day</code>, <code>b_before_a</code>, <code>nA</code>, <code>nB</code>, and <code>total_persons</code>. At least one data row is required.  The TAXIS query against an OMOP CDM will generate an appropriate file.  Columns named differently can be matched to these fields after the upload.
               </p>
               <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileChange} style={{ marginBottom: '0.5rem' }} />
               <br />
+              <label style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', marginBottom: '0.5rem' }}>
+                <input type="checkbox" checked={forceRefresh} onChange={(e) => setForceRefresh(e.target.checked)} />
+                Force fresh classification (ignore cached LLM answers)
+              </label>
+              <br />
               <button
                 onClick={handleUpload}
-                disabled={!file || uploading}
+                disabled={!file || uploading || !!pending || !!columnStep}
                 style={{
                   padding: '0.5rem 1rem',
                   backgroundColor: '#2563eb',
                   color: '#fff',
                   borderRadius: '0.25rem',
                   border: 'none',
-                  cursor: file && !uploading ? 'pointer' : 'not-allowed',
+                  cursor: file && !uploading && !pending && !columnStep ? 'pointer' : 'not-allowed',
                 }}
               >
                 {uploading ? 'Uploading…' : 'Upload'}
               </button>
+
+              {columnStep && (
+                <div style={{ marginTop: '1rem', padding: '0.75rem', border: '1px solid #e5e7eb', borderRadius: '0.5rem', background: '#f9fafb', fontSize: '0.9rem' }}>
+                  <h3 style={{ fontSize: '1rem', margin: '0 0 0.5rem' }}>Columns in {columnStep.body.originalName}</h3>
+                  {columnStep.sheets ? (
+                    <div style={{ marginBottom: '0.75rem' }}>
+                      <div style={{ marginBottom: '0.25rem' }}>Sheets to process (the columns below are from the first one):</div>
+                      {columnStep.sheets.map((sheet) => {
+                        const picked = columnStep.body.sheets?.find((s) => s.name === sheet.name);
+                        return (
+                          <div key={sheet.name} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <label>
+                              <input type="checkbox" checked={!!picked} onChange={() => toggleSheet(sheet)} /> {sheet.name}
+                              <span style={{ color: '#6b7280' }}> ({sheet.rows.toLocaleString()} rows)</span>
+                            </label>
+                            {picked && (
+                              <label style={{ color: '#6b7280' }}>
+                                header on row{' '}
+                                <input
+                                  key={`${sheet.name}-${picked.headerRow}`}
+                                  type="number"
+                                  min={1}
+                                  defaultValue={picked.headerRow}
+                                  onBlur={(e) => setSheetHeaderRow(sheet.name, Number(e.target.value))}
+                                  style={{ width: '4rem', padding: '0.1rem 0.25rem', border: '1px solid #d1d5db', borderRadius: '0.25rem' }}
+                                />
+                              </label>
+                            )}
+                          </div>
+                        );
+                      })}
+                      {(columnStep.body.sheets?.length ?? 0) > 1 && (
+                        <div style={{ display: 'flex', gap: '1rem', marginTop: '0.25rem' }}>
+                          <label>
+                            <input type="radio" checked={columnStep.body.sheetMode !== 'merged'} onChange={() => updateSource({ ...columnStep.body, sheetMode: 'separate' })} /> One job per sheet
+                          </label>
+                          <label>
+                            <input type="radio" checked={columnStep.body.sheetMode === 'merged'} onChange={() => updateSource({ ...columnStep.body, sheetMode: 'merged' })} /> One job for all sheets (same columns)
+                          </label>
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <label style={{ display: 'block', marginBottom: '0.75rem' }}>
+                      Header on line{' '}
+                      <input
+                        key={columnStep.body.headerRow}
+                        type="number"
+                        min={1}
+                        defaultValue={columnStep.body.headerRow ?? 1}
+                        onBlur={(e) => Number(e.target.value) >= 1 && updateSource({ ...columnStep.body, headerRow: Number(e.target.value) })}
+                        style={{ width: '4rem', padding: '0.1rem 0.25rem', border: '1px solid #d1d5db', borderRadius: '0.25rem' }}
+                      />
+                    </label>
+                  )}
+                  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                    <label>
+                      Preset{' '}
+                      <select value={columnStep.presets.some((p) => p.name === presetName) ? presetName : ''} onChange={(e) => applyPreset(e.target.value)}>
+                        <option value="">—</option>
+                        {columnStep.presets.map((p) => (
+                          <option key={p.name} value={p.name}>{p.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <input
+                      value={presetName}
+                      onChange={(e) => setPresetName(e.target.value)}
+                      placeholder="Preset name"
+                      maxLength={100}
+                      style={{ padding: '0.2rem 0.4rem', border: '1px solid #d1d5db', borderRadius: '0.25rem' }}
+                    />
+                    <button
+                      onClick={savePreset}
+                      disabled={!presetName.trim()}
+                      style={{ padding: '0.2rem 0.6rem', background: '#fff', borderRadius: '0.25rem', border: '1px solid #d1d5db', cursor: presetName.trim() ? 'pointer' : 'not-allowed' }}
+                    >
+                      Save preset
+                    </button>
+                    {columnStep.presets.some((p) => p.name === presetName) && (
+                      <button
+                        onClick={deletePreset}
+                        style={{ padding: '0.2rem 0.6rem', background: '#fff', color: '#b91c1c', borderRadius: '0.25rem', border: '1px solid #d1d5db', cursor: 'pointer' }}
+                      >
+                        Delete preset
+                      </button>
+                    )}
+                  </div>
+                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                      <tr>
+                        <th style={{ textAlign: 'left', padding: '0.25rem', borderBottom: '1px solid #e5e7eb' }}>Field</th>
+                        <th style={{ textAlign: 'left', padding: '0.25rem', borderBottom: '1px solid #e5e7eb' }}>Column in file</th>
+                        <th style={{ textAlign: 'left', padding: '0.25rem', borderBottom: '1px solid #e5e7eb' }}>First value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {columnStep.fields.map((f) => {
+                        const header = columnStep.mapping[f.key] ?? '';
+                        return (
+                          <tr key={f.key}>
+                            <td style={{ padding: '0.25rem', borderBottom: '1px solid #f3f4f6' }}>
+                              <code>{f.key}</code>{f.required && <span style={{ color: '#b91c1c' }}> *</span>}
+                              <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{f.label}</div>
+                            </td>
+                            <td style={{ padding: '0.25rem', borderBottom: '1px solid #f3f4f6' }}>
+                              <select value={header} onChange={(e) => setFieldColumn(f.key, e.target.value)}>
+                                <option value="">— not in file —</option>
+                                {columnStep.headers.map((h) => (
+                                  <option key={h} value={h}>{h}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td style={{ padding: '0.25rem', borderBottom: '1px solid #f3f4f6', color: '#6b7280' }}>
+                              {header ? String(columnStep.sample[0]?.[header] ?? '') : ''}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  {unmappedRequired.length > 0 && (
+                    <p style={{ margin: '0.5rem 0 0', color: '#b91c1c' }}>
+                      Choose a column for: {unmappedRequired.map((f) => f.key).join(', ')}
+                    </p>
+                  )}
+                  <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+                    <button
+                      onClick={confirmColumns}
+                      disabled={estimating || unmappedRequired.length > 0}
+                      style={{ padding: '0.5rem 1rem', backgroundColor: '#2563eb', color: '#fff', borderRadius: '0.25rem', border: 'none', cursor: estimating || unmappedRequired.length ? 'not-allowed' : 'pointer' }}
+                    >
+                      {estimating ? 'Estimating…' : 'Continue'}
+                    </button>
+                    <button
+                      onClick={() => { setColumnStep(null); setReport(null); }}
+                      disabled={estimating}
+                      style={{ padding: '0.5rem 1rem', background: '#fff', borderRadius: '0.25rem', border: '1px solid #d1d5db', cursor: 'pointer' }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {report && !pending && (
+                <div style={{ marginTop: '0.5rem', fontSize: '0.9rem' }}>
+                  <ReportLink csv={report.csv} name={report.name} />
+                </div>
+              )}
+
+              {pending && (
+                <div style={{ marginTop: '1rem', padding: '0.75rem', border: '1px solid #e5e7eb', borderRadius: '0.5rem', background: '#f9fafb', fontSize: '0.9rem' }}>
+                  <h3 style={{ fontSize: '1rem', margin: '0 0 0.5rem' }}>Estimate for {pending.body.originalName}</h3>
+                  {pending.validation?.rowsInvalid > 0 && (
+                    <div style={{ marginBottom: '0.5rem', color: '#b45309' }}>
+                      <strong>{pending.validation.rowsInvalid} of {pending.validation.rowsTotal} row(s) failed validation</strong> and will be skipped if you start the job.
+                      <ul style={{ margin: '0.25rem 0', paddingLeft: '1.25rem' }}>
+                        {pending.validation.errors.slice(0, 5).map((e, i) => (
+                          <li key={i}>{e.sheet ? `${e.sheet}, r` : 'R'}ow {e.row}, {e.column}: {e.message}{e.value ? ` (“${e.value}”)` : ''}</li>
+                        ))}
+                      </ul>
+                      {report && <ReportLink csv={report.csv} name={report.name} />}
+                    </div>
+                  )}
+                  {pending.validation?.warnings.map((w, i) => (
+                    <p key={i} style={{ margin: '0 0 0.5rem', color: '#b45309' }}>{w}</p>
+                  ))}
+                  <ul style={{ margin: 0, paddingLeft: '1.25rem' }}>
+                    <li>
+                      {pending.estimate.rows.toLocaleString()} rows, {pending.estimate.uniquePairs.toLocaleString()} distinct pairs
+                      {(pending.estimate.jobs ?? 1) > 1 ? `, queued as ${pending.estimate.jobs} jobs (one per sheet)` : ''}
+                    </li>
+                    <li>{pending.estimate.inMasterRecord.toLocaleString()} already classified, {pending.estimate.inLlmCache.toLocaleString()} answered from the LLM cache</li>
+                    <li>{pending.estimate.passLiftThreshold.toLocaleString()} rows above the lift threshold ({pending.estimate.liftThreshold})</li>
+                    <li>
+                      <strong>{pending.estimate.llmCalls.toLocaleString()}</strong> LLM classifications with {pending.estimate.model} (prompt {pending.estimate.promptVersion}):
+                      {' '}~{(pending.estimate.tokensIn + pending.estimate.tokensOut).toLocaleString()} tokens, <strong>{fmtDollars(pending.estimate.costCents)}</strong>
+                      {pending.estimate.tokenBasis === 'default' ? ' (no token history yet; rough guess)' : ''}
+                    </li>
+                    <li>Estimated runtime: {fmtDuration(pending.estimate.runtimeSeconds)}</li>
+                  </ul>
+                  {pending.estimate.budget?.budgetCents != null && (
+                    <p style={{ margin: '0.5rem 0 0', color: pending.estimate.budget.exceeds ? '#b91c1c' : '#374151' }}>
+                      Monthly budget: {fmtDollars(pending.estimate.budget.spentCents)} of {fmtDollars(pending.estimate.budget.budgetCents)} used.
+                      {pending.estimate.budget.exceeds ? ' This job would go over it and will pause when the budget is reached.' : ''}
+                    </p>
+                  )}
+                  <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+                    <button
+                      onClick={confirmUpload}
+                      disabled={confirming}
+                      style={{ padding: '0.5rem 1rem', backgroundColor: '#2563eb', color: '#fff', borderRadius: '0.25rem', border: 'none', cursor: confirming ? 'not-allowed' : 'pointer' }}
+                    >
+                      {confirming ? 'Queuing…' : 'Start job'}
+                    </button>
+                    <button
+                      onClick={() => { setPending(null); setReport(null); }}
+                      disabled={confirming}
+                      style={{ padding: '0.5rem 1rem', background: '#fff', borderRadius: '0.25rem', border: '1px solid #d1d5db', cursor: 'pointer' }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
             </section>
           </div>
         </main>